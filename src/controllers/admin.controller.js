@@ -0,0 +1,221 @@
+const userService = require('../services/user.service');
+const rewardService = require('../services/reward.service');
+const blockchainService = require('../services/blockchain.service');
+const sessionService = require('../services/session.service');
+const BroadcastService = require('../services/broadcast.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// List users
+exports.listUsers = async (req, res, next) => {
+  try {
+    const { role, isActive, limit } = req.query;
+
+    const users = await userService.listUsers({
+      role,
+      isActive: isActive === undefined ? null : isActive === 'true',
+      limit
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate user
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    // Get broadcast service if io is available
+    let broadcastService = null;
+    if (req.app.locals.io) {
+      broadcastService = new BroadcastService(req.app.locals.io);
+    }
+
+    const user = await userService.deactivateUser(userId, req.userId, reason, broadcastService);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: user,
+      message: 'User deactivated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Activate user
+exports.activateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await userService.activateUser(userId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: user,
+      message: 'User activated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change user role
+exports.setUserRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    const user = await userService.setRole(userId, role, req.userId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List token rewards
+exports.listRewards = async (req, res, next) => {
+  try {
+    const { status, network, sessionId, userId, page, limit } = req.query;
+
+    const result = await rewardService.listRewards({
+      status,
+      network,
+      sessionId,
+      userId,
+      page,
+      limit
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result.rewards,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get token reward with attempt history
+exports.getReward = async (req, res, next) => {
+  try {
+    const { rewardId } = req.params;
+
+    const reward = await rewardService.getReward(rewardId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: reward
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Retry all retryable rewards
+exports.retryAllRewards = async (req, res, next) => {
+  try {
+    const result = await blockchainService.retryFailedRewards();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Manually resolve reward
+exports.resolveReward = async (req, res, next) => {
+  try {
+    const { rewardId } = req.params;
+    const { reason } = req.body || {};
+
+    const reward = await rewardService.resolveReward(rewardId, req.userId, reason.trim());
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: reward,
+      message: 'Reward marked as resolved'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Retry failed reward
+exports.retryReward = async (req, res, next) => {
+  try {
+    const { rewardId } = req.params;
+
+    const result = await blockchainService.retryFailedReward(rewardId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set a player's score outright (correction, logged as a SCORE_SET event)
+exports.setPlayerScore = async (req, res, next) => {
+  try {
+    const { sessionId, userId } = req.params;
+    const { score, tasksCompleted, reason } = req.body || {};
+
+    const playerData = await sessionService.setPlayerScore(sessionId, userId, {
+      score,
+      tasksCompleted,
+      reason,
+      setBy: req.userId
+    });
+
+    // Get broadcast service if io is available
+    if (req.app.locals.io) {
+      const broadcastService = new BroadcastService(req.app.locals.io);
+      const leaderboard = await sessionService.getLeaderboard(sessionId, 10);
+      const teamLeaderboard = playerData.team ? await sessionService.getTeamLeaderboard(sessionId) : null;
+      const session = await sessionService.getSession(sessionId);
+      broadcastService.notifyScoreUpdate(session.sessionId, userId, playerData, leaderboard, teamLeaderboard);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: playerData,
+      message: 'Score set'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List a session's anti-cheat violations and the players who committed them
+exports.getScoreViolations = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { userId, limit } = req.query;
+
+    const result = await sessionService.getScoreViolations(sessionId, { userId, limit });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
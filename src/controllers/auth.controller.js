@@ -0,0 +1,99 @@
+const authService = require('../services/auth.service');
+const BroadcastService = require('../services/broadcast.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Resolve the domain/URI the SIWE message must be bound to. Both come from the
+// configuration: the Host header is client-controlled (server.js requires SIWE_DOMAIN).
+const getSiweContext = (req) => ({
+  domain: process.env.SIWE_DOMAIN,
+  uri: process.env.SIWE_URI || `${req.protocol}://${process.env.SIWE_DOMAIN}`
+});
+
+// Get broadcast service if io is available
+const getBroadcastService = (req) => {
+  return req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+};
+
+// Request sign-in nonce
+exports.getNonce = async (req, res, next) => {
+  try {
+    const { walletAddress } = req.body;
+
+    const challenge = await authService.createNonce(walletAddress, getSiweContext(req));
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify signed message and issue token
+exports.verify = async (req, res, next) => {
+  try {
+    const { message, signature, username } = req.body;
+
+    const result = await authService.verifySignIn(
+      { message, signature, username },
+      {
+        ...getSiweContext(req),
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip
+      }
+    );
+
+    res.status(result.isNewUser ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rotate refresh token
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await authService.refresh(refreshToken, getBroadcastService(req));
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke current auth session
+exports.logout = async (req, res, next) => {
+  try {
+    await authService.logout(req.userId, req.authSessionId, getBroadcastService(req));
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke every auth session of the current user
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const result = await authService.revokeAllSessions(req.userId, getBroadcastService(req));
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result,
+      message: 'All sessions revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
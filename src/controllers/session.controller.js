@@ -5,14 +5,16 @@ const { HTTP_STATUS } = require('../utils/constants');
 // Create session
 exports.createSession = async (req, res, next) => {
   try {
-    const { durationMinutes, maxPlayers, minPlayersToStart, config } = req.body;
+    const { durationMinutes, maxPlayers, minPlayersToStart, config, prizePool, rewardConfig } = req.body;
     const userId = req.userId;
     
     const session = await sessionService.createSession(userId, {
       durationMinutes,
       maxPlayers,
       minPlayersToStart,
-      config
+      config,
+      prizePool,
+      rewardConfig
     });
     
     res.status(HTTP_STATUS.CREATED).json({
@@ -30,6 +32,12 @@ exports.getSession = async (req, res, next) => {
     const { sessionId } = req.params;
     const session = await sessionService.getSession(sessionId);
     
+    // Spectators are counted from the socket rooms, not the database
+    if (req.app.locals.io) {
+      const broadcastService = new BroadcastService(req.app.locals.io);
+      session.spectatorCount = await broadcastService.getSpectatorCount(session.sessionId);
+    }
+    
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: session
@@ -43,7 +51,8 @@ exports.getSession = async (req, res, next) => {
 exports.listSessions = async (req, res, next) => {
   try {
     const { status, limit } = req.query;
-    const sessions = await sessionService.listSessions(status, limit);
+    // Signed-in users also see the non-public sessions they belong to
+    const sessions = await sessionService.listSessions(status, limit, req.userId || null);
     
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -60,7 +69,10 @@ exports.joinSession = async (req, res, next) => {
     const { sessionId } = req.params;
     const userId = req.userId;
     
-    const session = await sessionService.joinSession(sessionId, userId);
+    const { password, inviteCode, team } = req.body || {};
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const session = await sessionService.joinSession(sessionId, userId, broadcastService, { password, inviteCode, team });
     
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -72,6 +84,62 @@ exports.joinSession = async (req, res, next) => {
   }
 };
 
+// Join session by invite code
+exports.joinByInviteCode = async (req, res, next) => {
+  try {
+    const { inviteCode } = req.params;
+    const userId = req.userId;
+    const { password, team } = req.body || {};
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const session = await sessionService.joinSessionByInviteCode(inviteCode, userId, broadcastService, { password, team });
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: session,
+      message: 'Successfully joined session'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get session invite details
+exports.getSessionInvite = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    
+    const invite = await sessionService.getSessionInvite(sessionId, userId);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite users to session
+exports.inviteUsers = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    const { userIds } = req.body || {};
+    
+    const result = await sessionService.inviteUsers(sessionId, userId, userIds);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result,
+      message: 'Users invited'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Leave session
 exports.leaveSession = async (req, res, next) => {
   try {
@@ -118,6 +186,171 @@ exports.endSession = async (req, res, next) => {
   }
 };
 
+// Cancel session
+exports.cancelSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    const { reason } = req.body || {};
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const session = await sessionService.cancelSession(sessionId, userId, reason || null, broadcastService);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: session,
+      message: 'Session cancelled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Kick player from session
+exports.kickPlayer = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { userId: targetUserId, reason } = req.body;
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const result = await sessionService.removePlayer(
+      sessionId,
+      req.userId,
+      targetUserId,
+      { ban: false, reason: reason || null },
+      broadcastService
+    );
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result,
+      message: 'Player kicked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ban player from session
+exports.banPlayer = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { userId: targetUserId, reason } = req.body;
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const result = await sessionService.removePlayer(
+      sessionId,
+      req.userId,
+      targetUserId,
+      { ban: true, reason: reason || null },
+      broadcastService
+    );
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result,
+      message: 'Player banned'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start session (or begin its ready check)
+exports.startSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const result = await sessionService.startSession(sessionId, userId, broadcastService);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result.session,
+      message: result.started ? 'Session started successfully' : 'Ready check started'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark ready during a ready check
+exports.markReady = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const result = await sessionService.markReady(sessionId, userId, broadcastService);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pause session
+exports.pauseSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const session = await sessionService.pauseSession(sessionId, userId, broadcastService);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: session,
+      message: 'Session paused successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resume session
+exports.resumeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const session = await sessionService.resumeSession(sessionId, userId, broadcastService);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: session,
+      message: 'Session resumed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Extend session
+exports.extendSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    const { minutes } = req.body || {};
+    
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const session = await sessionService.extendSession(sessionId, userId, minutes, broadcastService);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: session,
+      message: `Session extended by ${minutes} minute(s)`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get leaderboard
 exports.getLeaderboard = async (req, res, next) => {
   try {
@@ -135,20 +368,90 @@ exports.getLeaderboard = async (req, res, next) => {
   }
 };
 
-// Update score
-exports.updateScore = async (req, res, next) => {
+// Get a player's score events
+exports.getScoreEvents = async (req, res, next) => {
+  try {
+    const { sessionId, userId: targetUserId } = req.params;
+    const { limit } = req.query;
+    
+    const result = await sessionService.getScoreEvents(sessionId, req.userId, targetUserId, limit);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the task catalogue with the caller's completions
+exports.getSessionTasks = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const result = await sessionService.getSessionTasks(sessionId, req.userId);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get team leaderboard
+exports.getTeamLeaderboard = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const teams = await sessionService.getTeamLeaderboard(sessionId);
+    
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: teams
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pick or assign a team
+exports.setTeam = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const userId = req.userId;
-    const { score, tasksCompleted } = req.body;
+    const { team, userId: targetUserId } = req.body;
     
-    const playerData = await sessionService.updatePlayerScore(
+    const broadcastService = req.app.locals.io ? new BroadcastService(req.app.locals.io) : null;
+    const result = await sessionService.setPlayerTeam(
       sessionId,
       userId,
-      score,
-      tasksCompleted
+      targetUserId || userId,
+      team,
+      broadcastService
     );
     
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result,
+      message: `Moved to ${result.teamName}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update score (records a score event)
+exports.updateScore = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
+    const { type, points, taskId, proof, reason } = req.body || {};
+    
+    const playerData = await sessionService.recordScoreEvent(sessionId, userId, { type, points, taskId, proof, reason });
+    
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: playerData
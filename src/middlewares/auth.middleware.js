@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
-const { AuthenticationError } = require('../utils/errors');
+const authService = require('../services/auth.service');
+const User = require('../models/User');
+const { AuthenticationError, AuthorizationError } = require('../utils/errors');
 
 // REST API Authentication
 const authenticateToken = async (req, res, next) => {
@@ -11,8 +12,9 @@ const authenticateToken = async (req, res, next) => {
       throw new AuthenticationError('No token provided');
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await authService.verifyAccessToken(token);
     req.userId = decoded.userId;
+    req.authSessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -25,6 +27,30 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Role-based Authorization (use after authenticateToken)
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (!req.userId) {
+      throw new AuthenticationError();
+    }
+    
+    // Roles are read from the database so changes apply without re-login
+    const user = await User.findById(req.userId).select('role isActive');
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('User account is not active');
+    }
+    
+    if (!user.hasRole(...roles)) {
+      throw new AuthorizationError();
+    }
+    
+    req.userRole = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Socket.IO Authentication
 const authenticateSocket = async (socket, next) => {
   try {
@@ -36,12 +62,16 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await authService.verifyAccessToken(token);
     socket.userId = decoded.userId;
+    socket.authSessionId = decoded.sid;
+    socket.tokenExpiresAt = decoded.exp * 1000;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      next(new Error('Authentication error: Invalid token'));
+    if (error.name === 'TokenExpiredError') {
+      next(new Error('Authentication error: Token expired'));
+    } else if (error instanceof AuthenticationError) {
+      next(new Error(`Authentication error: ${error.message}`));
     } else {
       next(new Error('Authentication error: Invalid token'));
     }
@@ -56,8 +86,9 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await authService.verifyAccessToken(token);
         req.userId = decoded.userId;
+        req.authSessionId = decoded.sid;
       } catch (error) {
         // Token invalid, but continue without auth
       }
@@ -70,6 +101,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  requireRole,
   authenticateSocket,
   optionalAuth
 };
@@ -1,22 +1,79 @@
 const { ValidationError } = require('../utils/errors');
+const blockchainService = require('../services/blockchain.service');
 const {
   isValidUsername,
   isValidWalletAddress,
+  isValidSignature,
   isValidDuration,
-  isValidScore
+  isValidScore,
+  isValidObjectId,
+  isValidExtension,
+  isValidReason,
+  isValidSessionPassword,
+  isValidInviteCode,
+  isValidPlayerScoreEventType,
+  isValidTaskId,
+  isValidTaskProof
 } = require('../utils/validators');
+const {
+  USER_ROLE,
+  REWARD_STATUS,
+  BLOCKCHAIN_NETWORK,
+  PAYOUT_TYPE,
+  SESSION_VISIBILITY,
+  TEAM_ASSIGNMENT,
+  SCORE_EVENT_TYPE,
+  VIOLATION_ACTION,
+  DEFAULTS
+} = require('../utils/constants');
 
-// User Registration Validation
-const validateRegister = (req, res, next) => {
-  const { username, walletAddress } = req.body;
+// SIWE Nonce Request Validation
+const validateNonceRequest = (req, res, next) => {
+  const { walletAddress } = req.body;
   const errors = [];
   
-  if (!username || !isValidUsername(username)) {
+  if (!walletAddress || !isValidWalletAddress(walletAddress)) {
+    errors.push('Invalid wallet address format');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// SIWE Sign-In Validation
+const validateSignIn = (req, res, next) => {
+  const { message, signature, username } = req.body;
+  const errors = [];
+  
+  if (!message || typeof message !== 'string') {
+    errors.push('Signed message is required');
+  }
+  
+  if (!signature || !isValidSignature(signature)) {
+    errors.push('Invalid signature format');
+  }
+  
+  if (username !== undefined && !isValidUsername(username)) {
     errors.push('Username must be 3-30 characters and contain only letters, numbers, and underscores');
   }
   
-  if (!walletAddress || !isValidWalletAddress(walletAddress)) {
-    errors.push('Invalid wallet address format');
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Refresh Token Validation
+const validateRefreshToken = (req, res, next) => {
+  const { refreshToken } = req.body;
+  const errors = [];
+  
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    errors.push('Refresh token is required');
   }
   
   if (errors.length > 0) {
@@ -26,9 +83,225 @@ const validateRegister = (req, res, next) => {
   next();
 };
 
+// Prize pool errors (shared by session creation)
+const getPrizePoolErrors = (prizePool, { network = blockchainService.network } = {}) => {
+  const errors = [];
+
+  if (!prizePool || typeof prizePool !== 'object' || Array.isArray(prizePool)) {
+    return ['Prize pool must be an object'];
+  }
+
+  const { totalAmount, payoutType = PAYOUT_TYPE.WINNER_TAKES_ALL, payoutTable, winnerCount } = prizePool;
+
+  if (totalAmount !== undefined && (typeof totalAmount !== 'number' || !(totalAmount > 0))) {
+    errors.push('Prize pool total amount must be a positive number');
+  } else if (totalAmount > blockchainService.getMaxPrizePool(network)) {
+    errors.push(`Prize pool total amount cannot exceed ${blockchainService.getMaxPrizePool(network)} on network ${network}`);
+  }
+
+  if (!Object.values(PAYOUT_TYPE).includes(payoutType)) {
+    errors.push(`Payout type must be one of: ${Object.values(PAYOUT_TYPE).join(', ')}`);
+  }
+
+  if (payoutType === PAYOUT_TYPE.TABLE) {
+    if (!Array.isArray(payoutTable) || payoutTable.length === 0 || payoutTable.length > DEFAULTS.MAX_PAYOUT_PLACES) {
+      errors.push(`Payout table must list between 1 and ${DEFAULTS.MAX_PAYOUT_PLACES} percentages`);
+    } else if (payoutTable.some(share => typeof share !== 'number' || !(share > 0))) {
+      errors.push('Payout table percentages must be positive numbers');
+    } else if (Math.abs(payoutTable.reduce((sum, share) => sum + share, 0) - 100) > 0.0001) {
+      errors.push('Payout table percentages must add up to 100');
+    }
+  }
+
+  if (payoutType === PAYOUT_TYPE.EQUAL_SPLIT &&
+    (!Number.isInteger(winnerCount) || winnerCount < 1 || winnerCount > DEFAULTS.MAX_PAYOUT_PLACES)) {
+    errors.push(`Winner count must be an integer between 1 and ${DEFAULTS.MAX_PAYOUT_PLACES}`);
+  }
+
+  return errors;
+};
+
+// Team configuration errors (shared by session creation)
+const getTeamsErrors = (teams, { maxPlayers = DEFAULTS.MAX_PLAYERS, prizePool } = {}) => {
+  if (!teams || typeof teams !== 'object' || Array.isArray(teams)) {
+    return ['Teams must be an object'];
+  }
+
+  const errors = [];
+  const { count = 0, assignment, names } = teams;
+
+  if (!Number.isInteger(count) || count === 1 || count < 0 || count > DEFAULTS.MAX_TEAMS) {
+    errors.push(`Team count must be 0 (no teams) or an integer between 2 and ${DEFAULTS.MAX_TEAMS}`);
+  } else if (count > maxPlayers) {
+    errors.push('Team count cannot exceed max players');
+  }
+
+  if (assignment !== undefined && !Object.values(TEAM_ASSIGNMENT).includes(assignment)) {
+    errors.push(`Team assignment must be one of: ${Object.values(TEAM_ASSIGNMENT).join(', ')}`);
+  }
+
+  if (names !== undefined) {
+    if (!Array.isArray(names) || names.length > count) {
+      errors.push('Team names must be an array with at most one name per team');
+    } else if (names.some(name => typeof name !== 'string' || !name.trim() || name.length > DEFAULTS.MAX_TEAM_NAME_LENGTH)) {
+      errors.push(`Team names must be between 1 and ${DEFAULTS.MAX_TEAM_NAME_LENGTH} characters`);
+    }
+  }
+
+  // The pool goes to the winning team, split equally
+  if (count > 0 && prizePool && prizePool.payoutType !== undefined && prizePool.payoutType !== PAYOUT_TYPE.WINNER_TAKES_ALL) {
+    errors.push(`Team sessions only support the ${PAYOUT_TYPE.WINNER_TAKES_ALL} payout type`);
+  }
+
+  return errors;
+};
+
+// Anti-cheat limit errors (shared by session creation)
+const getAntiCheatErrors = (antiCheat) => {
+  if (!antiCheat || typeof antiCheat !== 'object' || Array.isArray(antiCheat)) {
+    return ['Anti-cheat config must be an object'];
+  }
+
+  const errors = [];
+  const { maxUpdatesPerSecond, maxPointsPerWindow, windowSeconds, violationAction, violationThreshold } = antiCheat;
+
+  if (maxUpdatesPerSecond !== undefined && maxUpdatesPerSecond !== null &&
+    (!Number.isInteger(maxUpdatesPerSecond) || maxUpdatesPerSecond < 1 || maxUpdatesPerSecond > 100)) {
+    errors.push('Max updates per second must be an integer between 1 and 100');
+  }
+
+  if (maxPointsPerWindow !== undefined && maxPointsPerWindow !== null &&
+    (!Number.isInteger(maxPointsPerWindow) || maxPointsPerWindow < 1)) {
+    errors.push('Max points per window must be a positive integer');
+  }
+
+  if (windowSeconds !== undefined && (!Number.isInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > 3600)) {
+    errors.push('Window must be an integer between 1 and 3600 seconds');
+  }
+
+  if (violationAction !== undefined && !Object.values(VIOLATION_ACTION).includes(violationAction)) {
+    errors.push(`Violation action must be one of: ${Object.values(VIOLATION_ACTION).join(', ')}`);
+  }
+
+  if (violationThreshold !== undefined && (!Number.isInteger(violationThreshold) || violationThreshold < 1)) {
+    errors.push('Violation threshold must be a positive integer');
+  }
+
+  return errors;
+};
+
+// Reward token and eligibility errors (shared by session creation)
+const getRewardConfigErrors = (rewardConfig) => {
+  const errors = [];
+
+  if (!rewardConfig || typeof rewardConfig !== 'object' || Array.isArray(rewardConfig)) {
+    return ['Reward config must be an object'];
+  }
+
+  const { network, tokenAddress, eligibility } = rewardConfig;
+
+  if (network !== undefined && !Object.values(BLOCKCHAIN_NETWORK).includes(network)) {
+    errors.push(`Network must be one of: ${Object.values(BLOCKCHAIN_NETWORK).join(', ')}`);
+  }
+
+  if (tokenAddress !== undefined && !isValidWalletAddress(tokenAddress)) {
+    errors.push('Invalid token contract address format');
+  }
+
+  if (eligibility !== undefined) {
+    if (!eligibility || typeof eligibility !== 'object' || Array.isArray(eligibility)) {
+      errors.push('Eligibility must be an object');
+    } else {
+      if (eligibility.minScore !== undefined && !isValidScore(eligibility.minScore)) {
+        errors.push('Minimum score must be a non-negative integer');
+      }
+      if (eligibility.minTimePlayedSeconds !== undefined && !isValidScore(eligibility.minTimePlayedSeconds)) {
+        errors.push('Minimum time played must be a non-negative integer (seconds)');
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Invited user list errors (shared by session creation and invites)
+const getInvitedUserErrors = (userIds) => {
+  if (!Array.isArray(userIds) || userIds.length > DEFAULTS.MAX_SESSION_INVITES) {
+    return [`Invited users must be an array of at most ${DEFAULTS.MAX_SESSION_INVITES} user IDs`];
+  }
+  if (userIds.some(userId => !isValidObjectId(userId))) {
+    return ['Invalid invited user ID format'];
+  }
+  return [];
+};
+
+// Task catalogue errors (shared by session creation)
+const getTaskCatalogueErrors = (tasks) => {
+  if (!Array.isArray(tasks) || tasks.length > DEFAULTS.MAX_SESSION_TASKS) {
+    return [`Tasks must be an array of at most ${DEFAULTS.MAX_SESSION_TASKS} tasks`];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  tasks.forEach((task, index) => {
+    const label = `Task ${index + 1}`;
+
+    if (!task || typeof task !== 'object' || Array.isArray(task)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const { taskId, title, points, maxCompletions, answer, answerHash } = task;
+
+    if (!isValidTaskId(taskId)) {
+      errors.push(`${label}: ID must be 1-40 letters, numbers, underscores or dashes`);
+    } else if (seen.has(taskId)) {
+      errors.push(`${label}: duplicate task ID ${taskId}`);
+    } else {
+      seen.add(taskId);
+    }
+
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 100)) {
+      errors.push(`${label}: title cannot exceed 100 characters`);
+    }
+
+    if (!Number.isInteger(points) || points < 0) {
+      errors.push(`${label}: points must be a non-negative integer`);
+    }
+
+    if (maxCompletions !== undefined &&
+      (!Number.isInteger(maxCompletions) || maxCompletions < 1 || maxCompletions > DEFAULTS.MAX_TASK_COMPLETIONS)) {
+      errors.push(`${label}: max completions must be an integer between 1 and ${DEFAULTS.MAX_TASK_COMPLETIONS}`);
+    }
+
+    if (answer !== undefined && answer !== null && answerHash !== undefined && answerHash !== null) {
+      errors.push(`${label}: provide either an answer or an answer hash, not both`);
+    } else if (answer !== undefined && answer !== null && !isValidTaskProof(answer)) {
+      errors.push(`${label}: answer must be between 1 and 500 characters`);
+    } else if (answerHash !== undefined && answerHash !== null &&
+      (typeof answerHash !== 'string' || !/^[a-f0-9]{64}$/i.test(answerHash))) {
+      errors.push(`${label}: answer hash must be a sha256 hex digest`);
+    }
+  });
+
+  return errors;
+};
+
 // Create Session Validation
 const validateCreateSession = (req, res, next) => {
-  const { durationMinutes, maxPlayers, minPlayersToStart, config } = req.body;
+  const {
+    durationMinutes,
+    maxPlayers,
+    minPlayersToStart,
+    config,
+    prizePool,
+    rewardConfig,
+    visibility,
+    password,
+    invitedUserIds,
+    tasks
+  } = req.body;
   const errors = [];
   
   if (durationMinutes !== undefined && !isValidDuration(durationMinutes)) {
@@ -47,6 +320,67 @@ const validateCreateSession = (req, res, next) => {
     errors.push('Min players to start cannot exceed max players');
   }
   
+  if (config !== undefined && config !== null && typeof config === 'object') {
+    const { lobbyTimeoutMinutes, startOnLobbyTimeout } = config;
+    if (lobbyTimeoutMinutes !== undefined &&
+      (!Number.isInteger(lobbyTimeoutMinutes) || lobbyTimeoutMinutes < 1 || lobbyTimeoutMinutes > DEFAULTS.MAX_LOBBY_TIMEOUT_MINUTES)) {
+      errors.push(`Lobby timeout must be an integer between 1 and ${DEFAULTS.MAX_LOBBY_TIMEOUT_MINUTES} minutes`);
+    }
+    if (startOnLobbyTimeout !== undefined && typeof startOnLobbyTimeout !== 'boolean') {
+      errors.push('startOnLobbyTimeout must be a boolean');
+    }
+    if (config.readyCheck !== undefined && typeof config.readyCheck !== 'boolean') {
+      errors.push('readyCheck must be a boolean');
+    }
+    if (config.readyCheck === true && config.autoStart === true) {
+      errors.push('readyCheck requires autoStart to be false');
+    }
+    if (config.readyCheckSeconds !== undefined &&
+      (!Number.isInteger(config.readyCheckSeconds) || config.readyCheckSeconds < 5 || config.readyCheckSeconds > 600)) {
+      errors.push('Ready check must last between 5 and 600 seconds');
+    }
+    if (config.maxPointsPerAward !== undefined && config.maxPointsPerAward !== null &&
+      (!Number.isInteger(config.maxPointsPerAward) || config.maxPointsPerAward < 1)) {
+      errors.push('Max points per award must be a positive integer');
+    }
+    if (config.teams !== undefined) {
+      errors.push(...getTeamsErrors(config.teams, { maxPlayers, prizePool }));
+    }
+    if (config.antiCheat !== undefined) {
+      errors.push(...getAntiCheatErrors(config.antiCheat));
+    }
+    if (config.maxSpectators !== undefined && config.maxSpectators !== null &&
+      (!Number.isInteger(config.maxSpectators) || config.maxSpectators < 0 || config.maxSpectators > 10000)) {
+      errors.push('Max spectators must be an integer between 0 and 10000');
+    }
+  }
+  
+  if (visibility !== undefined && !Object.values(SESSION_VISIBILITY).includes(visibility)) {
+    errors.push(`Visibility must be one of: ${Object.values(SESSION_VISIBILITY).join(', ')}`);
+  }
+  
+  if (password !== undefined && password !== null && !isValidSessionPassword(password)) {
+    errors.push('Password must be between 4 and 128 characters');
+  }
+  
+  if (invitedUserIds !== undefined) {
+    errors.push(...getInvitedUserErrors(invitedUserIds));
+  }
+  
+  if (tasks !== undefined) {
+    errors.push(...getTaskCatalogueErrors(tasks));
+  }
+  
+  if (prizePool !== undefined) {
+    errors.push(...getPrizePoolErrors(prizePool, {
+      network: (rewardConfig && rewardConfig.network) || blockchainService.network
+    }));
+  }
+  
+  if (rewardConfig !== undefined) {
+    errors.push(...getRewardConfigErrors(rewardConfig));
+  }
+  
   if (errors.length > 0) {
     return next(new ValidationError('Validation failed', errors));
   }
@@ -70,19 +404,283 @@ const validateJoinSession = (req, res, next) => {
   next();
 };
 
+// Session Access Validation (optional password / invite code / team when joining)
+const validateSessionAccess = (req, res, next) => {
+  const { password, inviteCode, team } = req.body || {};
+  const errors = [];
+  
+  if (password !== undefined && typeof password !== 'string') {
+    errors.push('Password must be a string');
+  }
+  
+  if (inviteCode !== undefined && !isValidInviteCode(inviteCode)) {
+    errors.push('Invalid invite code format');
+  }
+  
+  if (team !== undefined && team !== null && (!Number.isInteger(team) || team < 1)) {
+    errors.push('Team must be a positive integer');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Invite Code Param Validation
+const validateInviteCodeParam = (req, res, next) => {
+  const errors = [];
+  
+  if (!isValidInviteCode(req.params.inviteCode)) {
+    errors.push('Invalid invite code format');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Invite Users Validation
+const validateInviteUsers = (req, res, next) => {
+  const { userIds } = req.body || {};
+  const errors = [];
+  
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    errors.push('userIds must be a non-empty array');
+  } else {
+    errors.push(...getInvitedUserErrors(userIds));
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Set Team Validation
+const validateSetTeam = (req, res, next) => {
+  const { team, userId } = req.body || {};
+  const errors = [];
+  
+  if (!Number.isInteger(team) || team < 1) {
+    errors.push('Team must be a positive integer');
+  }
+  
+  if (userId !== undefined && !isValidObjectId(userId)) {
+    errors.push('Invalid userId format');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Kick / Ban Player Validation
+const validateRemovePlayer = (req, res, next) => {
+  const { userId, reason } = req.body || {};
+  const errors = [];
+  
+  if (!isValidObjectId(userId)) {
+    errors.push('Invalid userId format');
+  }
+  
+  if (reason !== undefined && reason !== null && !isValidReason(reason)) {
+    errors.push('Reason must be between 1 and 500 characters');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
 // Update Score Validation
 const validateUpdateScore = (req, res, next) => {
-  const { score, tasksCompleted } = req.body;
+  const { type, points, taskId, proof, reason } = req.body || {};
   const errors = [];
   
-  if (score !== undefined && !isValidScore(score)) {
+  if (!isValidPlayerScoreEventType(type)) {
+    errors.push(`Type must be ${SCORE_EVENT_TYPE.TASK_COMPLETED} or ${SCORE_EVENT_TYPE.POINTS_AWARDED}`);
+  }
+  
+  if (points !== undefined && (!Number.isInteger(points) || points < 1)) {
+    errors.push('Points must be a positive integer');
+  }
+  
+  if (taskId !== undefined && taskId !== null && !isValidTaskId(taskId)) {
+    errors.push('Invalid task ID format');
+  }
+  
+  if (proof !== undefined && proof !== null && !isValidTaskProof(proof)) {
+    errors.push('Proof must be between 1 and 500 characters');
+  }
+  
+  if (reason !== undefined && reason !== null && !isValidReason(reason)) {
+    errors.push('Reason must be between 1 and 500 characters');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Set Score Validation (admin corrections)
+const validateSetScore = (req, res, next) => {
+  const { score, tasksCompleted, reason } = req.body || {};
+  const errors = [];
+  
+  if (!isValidScore(score)) {
     errors.push('Score must be a non-negative integer');
   }
   
-  if (tasksCompleted !== undefined && !isValidScore(tasksCompleted)) {
+  if (!isValidScore(tasksCompleted)) {
     errors.push('Tasks completed must be a non-negative integer');
   }
   
+  if (!isValidReason(reason)) {
+    errors.push('Reason must be between 1 and 500 characters');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Extend Session Validation
+const validateExtendSession = (req, res, next) => {
+  const { minutes } = req.body || {};
+  const errors = [];
+  
+  if (!isValidExtension(minutes, DEFAULTS.MAX_SESSION_EXTENSION_MINUTES)) {
+    errors.push(`Minutes must be an integer between 1 and ${DEFAULTS.MAX_SESSION_EXTENSION_MINUTES}`);
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Cancel Session Validation
+const validateCancelSession = (req, res, next) => {
+  const { reason } = req.body || {};
+  const errors = [];
+  
+  if (reason !== undefined && reason !== null && !isValidReason(reason)) {
+    errors.push('Reason must be between 1 and 500 characters');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Object ID Param Validation
+const validateObjectIdParam = (paramName) => (req, res, next) => {
+  const errors = [];
+  
+  if (!isValidObjectId(req.params[paramName])) {
+    errors.push(`Invalid ${paramName} format`);
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Set Role Validation
+const validateSetRole = (req, res, next) => {
+  const { role } = req.body || {};
+  const errors = [];
+  
+  if (!role || !Object.values(USER_ROLE).includes(role)) {
+    errors.push(`Role must be one of: ${Object.values(USER_ROLE).join(', ')}`);
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// List Rewards Validation
+const validateListRewards = (req, res, next) => {
+  const { status, network, userId, page, limit } = req.query;
+  const errors = [];
+  
+  if (status !== undefined && !Object.values(REWARD_STATUS).includes(status)) {
+    errors.push(`Status must be one of: ${Object.values(REWARD_STATUS).join(', ')}`);
+  }
+  
+  if (network !== undefined && !Object.values(BLOCKCHAIN_NETWORK).includes(network)) {
+    errors.push(`Network must be one of: ${Object.values(BLOCKCHAIN_NETWORK).join(', ')}`);
+  }
+  
+  if (userId !== undefined && !isValidObjectId(userId)) {
+    errors.push('Invalid userId format');
+  }
+  
+  if (page !== undefined && !(parseInt(page) >= 1)) {
+    errors.push('Page must be a positive integer');
+  }
+  
+  if (limit !== undefined && !(parseInt(limit) >= 1)) {
+    errors.push('Limit must be a positive integer');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Score Violations Query Validation
+const validateListViolations = (req, res, next) => {
+  const { userId, limit } = req.query;
+  const errors = [];
+  
+  if (userId !== undefined && !isValidObjectId(userId)) {
+    errors.push('Invalid userId format');
+  }
+  
+  if (limit !== undefined && !(parseInt(limit) >= 1)) {
+    errors.push('Limit must be a positive integer');
+  }
+  
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+  
+  next();
+};
+
+// Resolve Reward Validation
+const validateResolveReward = (req, res, next) => {
+  const { reason } = req.body || {};
+  const errors = [];
+  
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 3 || reason.length > 500) {
+    errors.push('Reason must be between 3 and 500 characters');
+  }
+  
   if (errors.length > 0) {
     return next(new ValidationError('Validation failed', errors));
   }
@@ -91,9 +689,24 @@ const validateUpdateScore = (req, res, next) => {
 };
 
 module.exports = {
-  validateRegister,
+  validateNonceRequest,
+  validateSignIn,
+  validateRefreshToken,
   validateCreateSession,
   validateJoinSession,
-  validateUpdateScore
+  validateUpdateScore,
+  validateSetScore,
+  validateListViolations,
+  validateExtendSession,
+  validateCancelSession,
+  validateSessionAccess,
+  validateInviteCodeParam,
+  validateInviteUsers,
+  validateRemovePlayer,
+  validateSetTeam,
+  validateObjectIdParam,
+  validateSetRole,
+  validateListRewards,
+  validateResolveReward
 };
 
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const authNonceSchema = new mongoose.Schema({
+    nonce: {
+        type: String,
+        required: [true, 'Nonce is required'],
+        unique: true,
+        index: true
+    },
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required'],
+        trim: true,
+        uppercase: true,
+        validate: {
+            validator: function(v) {
+                return /^0x[a-fA-F0-9]{40}$/i.test(v);
+            },
+            message: 'Invalid wallet address format'
+        },
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// TTL index - MongoDB removes nonces once they expire
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Methods
+// Atomically consume an unused, unexpired nonce issued to a wallet
+authNonceSchema.statics.consume = function(nonce, walletAddress) {
+    return this.findOneAndUpdate(
+        {
+            nonce,
+            walletAddress: walletAddress.toUpperCase(),
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model("AuthNonce", authNonceSchema);
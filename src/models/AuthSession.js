@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+const authSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required']
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    revokedReason: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    lastRefreshedAt: {
+        type: Date,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+// TTL index - expired sessions are removed by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Compound index on (userId, revokedAt) - for revoking all of a user's sessions
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtuals
+// Check if session can still be used
+authSessionSchema.virtual('isValid').get(function() {
+    return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+});
+
+// Instance Methods
+// Revoke the session
+authSessionSchema.methods.revoke = async function(reason = 'logout') {
+    if (this.revokedAt) {
+        return this;
+    }
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+// Static Methods
+// Find a session that is neither revoked nor expired
+authSessionSchema.statics.findValid = function(id) {
+    return this.findOne({
+        _id: id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Replace the refresh token (rotation) if it is still the current one. A single
+// conditional update, so only one of two requests presenting the same token wins;
+// returns null for the loser (or if the session was revoked or expired meanwhile).
+authSessionSchema.statics.rotate = function(id, currentHash, nextHash, expiresAt) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            _id: id,
+            refreshTokenHash: currentHash,
+            revokedAt: null,
+            expiresAt: { $gt: now }
+        },
+        { $set: { refreshTokenHash: nextHash, expiresAt, lastRefreshedAt: now } },
+        { new: true }
+    );
+};
+
+// Revoke every active session for a user
+authSessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+    return this.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
@@ -1,6 +1,56 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 
+// Invite codes avoid look-alike characters (0/O, 1/I) so they can be read out
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+// Async so hashing join passwords never blocks the event loop
+const scrypt = promisify(crypto.scrypt);
+
+const generateInviteCode = () => Array.from(
+    { length: INVITE_CODE_LENGTH },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+).join('');
+
+// Task answers are compared case-insensitively, ignoring surrounding whitespace
+const normalizeTaskAnswer = (answer) => answer.trim().toLowerCase();
+
+// A task in the session's catalogue. Players complete it by ID; when it has an
+// answerHash they must also send the matching answer as proof.
+const sessionTaskSchema = new mongoose.Schema({
+    taskId: {
+        type: String,
+        required: [true, 'Task ID is required'],
+        trim: true
+    },
+    title: {
+        type: String,
+        default: null,
+        trim: true,
+        maxlength: [100, 'Task title cannot exceed 100 characters']
+    },
+    points: {
+        type: Number,
+        required: [true, 'Task points are required'],
+        min: [0, 'Task points cannot be negative']
+    },
+    // How many times each player may complete the task
+    maxCompletions: {
+        type: Number,
+        default: 1,
+        min: [1, 'Max completions must be at least 1']
+    },
+    // sha256 hex of the normalized answer (null = no proof needed)
+    answerHash: {
+        type: String,
+        default: null,
+        lowercase: true
+    }
+}, { _id: false });
+
 const gameSessionSchema = new mongoose.Schema({
     sessionId: {
         type: String,
@@ -12,8 +62,8 @@ const gameSessionSchema = new mongoose.Schema({
     status: {
         type: String,
         enum: {
-            values: ['WAITING', 'LIVE', 'ENDED', 'CANCELLED'],
-            message: 'Status must be WAITING, LIVE, ENDED, or CANCELLED'
+            values: ['WAITING', 'LIVE', 'PAUSED', 'ENDED', 'CANCELLED'],
+            message: 'Status must be WAITING, LIVE, PAUSED, ENDED, or CANCELLED'
         },
         default: 'WAITING',
         index: true
@@ -24,10 +74,49 @@ const gameSessionSchema = new mongoose.Schema({
         required: [true, 'Session creator is required'],
         index: true
     },
+    // PUBLIC sessions are listed; UNLISTED ones are joinable by link or code but
+    // not listed; PRIVATE ones need an invite or the invite code. A password, if
+    // set, is required on top of that for any visibility
+    visibility: {
+        type: String,
+        enum: ['PUBLIC', 'UNLISTED', 'PRIVATE'],
+        default: 'PUBLIC',
+        index: true
+    },
+    inviteCode: {
+        type: String,
+        unique: true,
+        sparse: true, // Sessions created before invite codes have none
+        default: generateInviteCode
+    },
+    // scrypt "salt:hash" of the join password, if any
+    passwordHash: {
+        type: String,
+        default: null
+    },
+    invitedUserIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Users banned by the creator or a moderator; they cannot rejoin
+    bannedUserIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     players: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Task catalogue; when empty any TASK_COMPLETED event is worth config.pointsPerTask
+    tasks: {
+        type: [sessionTaskSchema],
+        default: []
+    },
+    // Team number of the winning team (team sessions only)
+    winningTeam: {
+        type: Number,
+        default: null
+    },
     winner: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -48,6 +137,63 @@ const gameSessionSchema = new mongoose.Schema({
         default: null,
         index: true // For querying sessions to auto-end
     },
+    // Ready check in progress (expiresAt is null when none is running)
+    readyCheck: {
+        startedAt: {
+            type: Date,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // When a WAITING session times out (cleared once it starts)
+    lobbyExpiresAt: {
+        type: Date,
+        default: null
+    },
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    totalPausedMs: {
+        type: Number,
+        default: 0
+    },
+    cancelReason: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    // null when cancelled by the system
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Which server instance is ending the session, so only one of them does
+    endLease: {
+        owner: {
+            type: String,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Last "ending soon" warning sent, so only one server instance sends each one
+    lastTimeWarning: {
+        endTime: {
+            type: Date,
+            default: null
+        },
+        seconds: {
+            type: Number,
+            default: null
+        }
+    },
     durationMinutes: {
         type: Number,
         required: true,
@@ -85,6 +231,12 @@ const gameSessionSchema = new mongoose.Schema({
             default: 10,
             min: 0
         },
+        // Most points a single POINTS_AWARDED event may add (null = pointsPerTask)
+        maxPointsPerAward: {
+            type: Number,
+            default: null,
+            min: [1, 'Max points per award must be at least 1']
+        },
         enableRandomWinner: {
             type: Boolean,
             default: false
@@ -93,11 +245,147 @@ const gameSessionSchema = new mongoose.Schema({
             type: Boolean,
             default: true // Auto-start when min players join
         },
+        // How long the session may wait for players before it is cancelled
+        lobbyTimeoutMinutes: {
+            type: Number,
+            default: 30,
+            min: [1, 'Lobby timeout must be at least 1 minute'],
+            max: [1440, 'Lobby timeout cannot exceed 1440 minutes']
+        },
+        // Start with the players who joined (at least one) instead of cancelling at the lobby timeout
+        startOnLobbyTimeout: {
+            type: Boolean,
+            default: false
+        },
+        // Players must confirm they are ready before a manual start goes through
+        readyCheck: {
+            type: Boolean,
+            default: false
+        },
+        readyCheckSeconds: {
+            type: Number,
+            default: 30,
+            min: [5, 'Ready check must last at least 5 seconds'],
+            max: [600, 'Ready check cannot exceed 600 seconds']
+        },
+        // Team play (count 0 = every player for themselves)
+        teams: {
+            count: {
+                type: Number,
+                default: 0,
+                min: [0, 'Team count cannot be negative'],
+                max: [16, 'Cannot exceed 16 teams']
+            },
+            assignment: {
+                type: String,
+                enum: ['MANUAL', 'AUTO_BALANCE', 'CREATOR'],
+                default: 'AUTO_BALANCE'
+            },
+            // Display names by team number (team 1 is names[0]); missing ones default to "Team N"
+            names: [{
+                type: String,
+                trim: true,
+                maxlength: [30, 'Team name cannot exceed 30 characters']
+            }]
+        },
+        // Limits on players' score events; refused events are recorded as violations
+        antiCheat: {
+            // null = no limit
+            maxUpdatesPerSecond: {
+                type: Number,
+                default: 5,
+                min: [1, 'Max updates per second must be at least 1']
+            },
+            maxPointsPerWindow: {
+                type: Number,
+                default: null,
+                min: [1, 'Max points per window must be at least 1']
+            },
+            windowSeconds: {
+                type: Number,
+                default: 10,
+                min: [1, 'Window must be at least 1 second'],
+                max: [3600, 'Window cannot exceed 3600 seconds']
+            },
+            // Applied at session end to players with at least violationThreshold violations
+            violationAction: {
+                type: String,
+                enum: ['NONE', 'FLAG', 'DISQUALIFY'],
+                default: 'NONE'
+            },
+            violationThreshold: {
+                type: Number,
+                default: 3,
+                min: [1, 'Violation threshold must be at least 1']
+            }
+        },
+        // Cap on concurrent spectators (null = unlimited, 0 = spectating disabled)
+        maxSpectators: {
+            type: Number,
+            default: null,
+            min: [0, 'Max spectators cannot be negative'],
+            max: [10000, 'Cannot exceed 10000 spectators']
+        },
         autoEnd: {
             type: Boolean,
             default: true // Auto-end after duration
         }
     },
+    // How the session's tokens are split between the top players
+    prizePool: {
+        totalAmount: {
+            type: Number,
+            default: null, // null = DEFAULT_TOKEN_AMOUNT
+            min: [0, 'Prize pool cannot be negative']
+        },
+        payoutType: {
+            type: String,
+            enum: ['WINNER_TAKES_ALL', 'TABLE', 'EQUAL_SPLIT'],
+            default: 'WINNER_TAKES_ALL'
+        },
+        // Percentage of the pool per place (TABLE), must add up to 100
+        payoutTable: [{
+            type: Number,
+            min: 0
+        }],
+        // Number of top players sharing the pool (EQUAL_SPLIT)
+        winnerCount: {
+            type: Number,
+            default: 1,
+            min: 1
+        }
+    },
+    // Token the prize pool is paid in and who may receive it (resolved at creation)
+    rewardConfig: {
+        network: {
+            type: String,
+            enum: ['ETHEREUM', 'POLYGON', 'BSC', 'ARBITRUM', 'LOCAL', 'MOCK'],
+            default: 'MOCK'
+        },
+        tokenAddress: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            validate: {
+                validator: function(v) {
+                    return !v || /^0x[a-fA-F0-9]{40}$/i.test(v);
+                },
+                message: 'Invalid token contract address format'
+            }
+        },
+        eligibility: {
+            minScore: {
+                type: Number,
+                default: 0,
+                min: 0
+            },
+            minTimePlayedSeconds: {
+                type: Number,
+                default: 0,
+                min: 0
+            }
+        }
+    },
     metadata: {
         type: Map,
         of: mongoose.Schema.Types.Mixed,
@@ -112,6 +400,7 @@ const gameSessionSchema = new mongoose.Schema({
 // Indexes
 gameSessionSchema.index({ status: 1, startTime: 1 }); // Compound index for active session queries
 gameSessionSchema.index({ status: 1, scheduledEndTime: 1 }); // Compound index for sessions ending soon
+gameSessionSchema.index({ status: 1, lobbyExpiresAt: 1 }); // Compound index for timed-out lobbies
 
 // Virtuals
 // Get current player count
@@ -124,12 +413,13 @@ gameSessionSchema.virtual('isFull').get(function() {
     return this.playerCount >= this.maxPlayers;
 });
 
-// Get remaining time in milliseconds
+// Get remaining time in milliseconds (frozen while paused)
 gameSessionSchema.virtual('remainingTime').get(function() {
-    if (!this.scheduledEndTime || this.status !== 'LIVE') {
+    if (!this.scheduledEndTime || (this.status !== 'LIVE' && this.status !== 'PAUSED')) {
         return null;
     }
-    const remaining = this.scheduledEndTime.getTime() - Date.now();
+    const now = this.status === 'PAUSED' ? this.pausedAt.getTime() : Date.now();
+    const remaining = this.scheduledEndTime.getTime() - now;
     return remaining > 0 ? remaining : 0;
 });
 
@@ -151,25 +441,29 @@ gameSessionSchema.methods.isActive = function() {
     return this.status === 'LIVE';
 };
 
-// Start the session
-gameSessionSchema.methods.start = async function() {
-    if (this.status !== 'WAITING') {
-        throw new Error('Session can only be started from WAITING status');
-    }
-    if (this.playerCount < this.minPlayersToStart) {
-        throw new Error(`Need at least ${this.minPlayersToStart} players to start`);
-    }
-    
-    this.status = 'LIVE';
-    this.startTime = new Date();
-    
+// Start a WAITING session with a conditional write, so a cancel (or another start)
+// committed since it was read is never overwritten. The player minimum is part of
+// the condition too (allowFewerPlayers lowers it to one player). Returns the started
+// session, or null if it no longer qualifies.
+gameSessionSchema.methods.startIfWaiting = async function({ allowFewerPlayers = false } = {}) {
+    const minPlayers = allowFewerPlayers ? 1 : this.minPlayersToStart;
+    const startTime = new Date();
+    const update = {
+        status: 'LIVE',
+        startTime,
+        lobbyExpiresAt: null,
+        readyCheck: { startedAt: null, expiresAt: null }
+    };
+
     if (this.config.autoEnd) {
-        this.scheduledEndTime = new Date(
-            this.startTime.getTime() + (this.durationMinutes * 60 * 1000)
-        );
+        update.scheduledEndTime = new Date(startTime.getTime() + (this.durationMinutes * 60 * 1000));
     }
-    
-    return this.save();
+
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'WAITING', [`players.${minPlayers - 1}`]: { $exists: true } },
+        { $set: update },
+        { new: true }
+    );
 };
 
 // End the session
@@ -185,17 +479,142 @@ gameSessionSchema.methods.end = async function() {
     return this.save();
 };
 
-// Cancel the session
-gameSessionSchema.methods.cancel = async function() {
-    if (this.status === 'ENDED') {
-        throw new Error('Cannot cancel an ended session');
+// Pause, resume and extend are conditional writes on the state they were computed
+// from, so an end or cancel committed in the meantime is never overwritten. Each
+// returns the updated session, or null if the session changed since it was read.
+
+// Pause the session (the clock stops until it is resumed)
+gameSessionSchema.methods.pause = async function() {
+    if (this.status !== 'LIVE') {
+        throw new Error('Only LIVE sessions can be paused');
     }
-    
-    this.status = 'CANCELLED';
-    this.endTime = new Date();
-    this.scheduledEndTime = null;
-    
-    return this.save();
+
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'LIVE' },
+        { $set: { status: 'PAUSED', pausedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// Resume a paused session, pushing the end back by the time spent paused
+gameSessionSchema.methods.resume = async function() {
+    if (this.status !== 'PAUSED') {
+        throw new Error('Only PAUSED sessions can be resumed');
+    }
+
+    const pausedMs = Date.now() - this.pausedAt.getTime();
+    const scheduledEndTime = this.scheduledEndTime
+        ? new Date(this.scheduledEndTime.getTime() + pausedMs)
+        : null;
+
+    return this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            status: 'PAUSED',
+            pausedAt: this.pausedAt,
+            scheduledEndTime: this.scheduledEndTime
+        },
+        {
+            $set: { status: 'LIVE', pausedAt: null, scheduledEndTime },
+            $inc: { totalPausedMs: pausedMs }
+        },
+        { new: true }
+    );
+};
+
+// Add time to a LIVE or PAUSED session
+gameSessionSchema.methods.extend = async function(minutes) {
+    if (this.status !== 'LIVE' && this.status !== 'PAUSED') {
+        throw new Error('Only LIVE or PAUSED sessions can be extended');
+    }
+    if (!this.scheduledEndTime) {
+        throw new Error('Session has no scheduled end time');
+    }
+
+    return this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            status: { $in: ['LIVE', 'PAUSED'] },
+            scheduledEndTime: this.scheduledEndTime
+        },
+        { $set: { scheduledEndTime: new Date(this.scheduledEndTime.getTime() + minutes * 60 * 1000) } },
+        { new: true }
+    );
+};
+
+// Set (or clear, with null) the join password
+gameSessionSchema.methods.setPassword = async function(password) {
+    if (!password) {
+        this.passwordHash = null;
+        return;
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    this.passwordHash = `${salt}:${hash}`;
+};
+
+// Check a join password
+gameSessionSchema.methods.checkPassword = async function(password) {
+    if (!this.passwordHash || typeof password !== 'string') {
+        return false;
+    }
+    const [salt, hash] = this.passwordHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, 64);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Check if a user is the creator, a player or invited
+gameSessionSchema.methods.isMember = function(userId) {
+    const id = userId.toString();
+    const creatorId = this.creatorId._id || this.creatorId;
+    return creatorId.toString() === id ||
+        this.players.some(player => (player._id || player).toString() === id) ||
+        this.invitedUserIds.some(invited => invited.toString() === id);
+};
+
+// Check if the session has a task catalogue
+gameSessionSchema.methods.hasTaskCatalogue = function() {
+    return !!(this.tasks && this.tasks.length > 0);
+};
+
+// Find a catalogue task by ID
+gameSessionSchema.methods.getTask = function(taskId) {
+    return (this.tasks || []).find(task => task.taskId === taskId) || null;
+};
+
+// Check the proof sent for a task (tasks without an answer need none)
+gameSessionSchema.methods.checkTaskProof = function(task, proof) {
+    if (!task.answerHash) {
+        return true;
+    }
+    if (typeof proof !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(task.answerHash, 'hex');
+    const actual = Buffer.from(this.constructor.hashTaskAnswer(proof), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Check if the session is played in teams
+gameSessionSchema.methods.isTeamSession = function() {
+    return !!(this.config && this.config.teams && this.config.teams.count > 0);
+};
+
+// Display name of a team (teams are numbered from 1)
+gameSessionSchema.methods.getTeamName = function(team) {
+    const names = this.config.teams.names || [];
+    return names[team - 1] || `Team ${team}`;
+};
+
+// Maximum players per team (maxPlayers shared evenly)
+gameSessionSchema.methods.getTeamCapacity = function() {
+    return Math.ceil(this.maxPlayers / this.config.teams.count);
+};
+
+// Check if a user is banned from the session
+gameSessionSchema.methods.isBanned = function(userId) {
+    return this.bannedUserIds.some(banned => banned.toString() === userId.toString());
 };
 
 // Add player to session
@@ -209,13 +628,7 @@ gameSessionSchema.methods.addPlayer = async function(userId) {
     
     this.players.push(userId);
     
-    // Auto-start if conditions met
-    if (this.config.autoStart && 
-        this.status === 'WAITING' && 
-        this.playerCount >= this.minPlayersToStart) {
-        await this.start();
-    }
-    
+    // Auto-start is up to the caller (see startIfWaiting), never part of this save
     return this.save();
 };
 
@@ -228,6 +641,11 @@ gameSessionSchema.methods.removePlayer = async function(userId) {
 };
 
 // Static Methods
+// Hash a task answer the way answerHash is stored
+gameSessionSchema.statics.hashTaskAnswer = function(answer) {
+    return crypto.createHash('sha256').update(normalizeTaskAnswer(answer)).digest('hex');
+};
+
 // Find active sessions
 gameSessionSchema.statics.findActive = function() {
     return this.find({ status: 'LIVE' });
@@ -247,6 +665,135 @@ gameSessionSchema.statics.findEndingSoon = function(minutes = 1) {
     });
 };
 
+// Claim a LIVE session due to end (the given one, or the next due). The lease is
+// taken atomically, so with several server instances each due session is handed
+// to exactly one of them until the lease expires.
+gameSessionSchema.statics.claimToEnd = function(owner, leaseMs, { sessionId = null, now = new Date() } = {}) {
+    return this.findOneAndUpdate(
+        {
+            ...(sessionId ? { _id: sessionId } : {}),
+            status: 'LIVE',
+            scheduledEndTime: { $lte: now },
+            $or: [
+                { 'endLease.expiresAt': null },
+                { 'endLease.expiresAt': { $lte: now } }
+            ]
+        },
+        {
+            $set: {
+                'endLease.owner': owner,
+                'endLease.expiresAt': new Date(now.getTime() + leaseMs)
+            }
+        },
+        { new: true, sort: { scheduledEndTime: 1 } }
+    );
+};
+
+// Give up an end lease (e.g. after a failed attempt) so the session can be claimed again
+gameSessionSchema.statics.releaseEndLease = function(sessionId, owner) {
+    return this.updateOne(
+        { _id: sessionId, 'endLease.owner': owner },
+        { $set: { 'endLease.owner': null, 'endLease.expiresAt': null } }
+    );
+};
+
+// Check the session's end lease is still held by owner
+gameSessionSchema.methods.holdsEndLease = function(owner, now = new Date()) {
+    return !!this.endLease &&
+        this.endLease.owner === owner &&
+        !!this.endLease.expiresAt &&
+        this.endLease.expiresAt.getTime() > now.getTime();
+};
+
+// Claim the warning sent secondsBefore the given end time. Warnings for one end time
+// go out in decreasing order, so the claim succeeds for the first instance to ask and
+// fails for the others (and for a stale end time, e.g. after an extension).
+gameSessionSchema.statics.claimTimeWarning = function(sessionId, secondsBefore, endTime) {
+    return this.findOneAndUpdate(
+        {
+            _id: sessionId,
+            status: 'LIVE',
+            scheduledEndTime: endTime,
+            $or: [
+                { 'lastTimeWarning.endTime': { $ne: endTime } },
+                { 'lastTimeWarning.seconds': { $gt: secondsBefore } }
+            ]
+        },
+        { $set: { lastTimeWarning: { endTime, seconds: secondsBefore } } },
+        { new: true }
+    );
+};
+
+// Get the share of the prize pool (percent) for each paid place, best place first
+gameSessionSchema.methods.getPayoutShares = function() {
+    const prizePool = this.prizePool || {};
+
+    switch (prizePool.payoutType) {
+        case 'TABLE':
+            return prizePool.payoutTable && prizePool.payoutTable.length > 0
+                ? [...prizePool.payoutTable]
+                : [100];
+        case 'EQUAL_SPLIT': {
+            const winnerCount = prizePool.winnerCount || 1;
+            return Array(winnerCount).fill(100 / winnerCount);
+        }
+        default:
+            return [100];
+    }
+};
+
+// Claim the next WAITING session whose lobby timed out. The claim pushes
+// lobbyExpiresAt forward by leaseMs, so one instance handles it and another
+// retries if that instance dies before the session is started or cancelled.
+gameSessionSchema.statics.claimExpiredLobby = function(leaseMs, now = new Date()) {
+    return this.findOneAndUpdate(
+        { status: 'WAITING', lobbyExpiresAt: { $lte: now } },
+        { $set: { lobbyExpiresAt: new Date(now.getTime() + leaseMs) } },
+        { new: true, sort: { lobbyExpiresAt: 1 } }
+    );
+};
+
+// Finish the running ready check (all players ready, or it expired). Atomic, so
+// only one caller gets the session back and goes on to start it.
+gameSessionSchema.statics.finishReadyCheck = function(sessionId) {
+    return this.findOneAndUpdate(
+        { _id: sessionId, status: 'WAITING', 'readyCheck.expiresAt': { $ne: null } },
+        { $set: { 'readyCheck.expiresAt': null } },
+        { new: true }
+    );
+};
+
+// Find WAITING sessions whose ready check ran out
+gameSessionSchema.statics.findExpiredReadyChecks = function(now = new Date()) {
+    return this.find({ status: 'WAITING', 'readyCheck.expiresAt': { $lte: now } });
+};
+
+// Cancel a session that has not ended. Conditional and atomic so a session can
+// never be both ENDED (with rewards) and CANCELLED; returns null if it already ended.
+gameSessionSchema.statics.cancelOpen = function(sessionId, { reason = null, cancelledBy = null } = {}, dbSession = null) {
+    return this.findOneAndUpdate(
+        { _id: sessionId, status: { $in: ['WAITING', 'LIVE', 'PAUSED'] } },
+        {
+            $set: {
+                status: 'CANCELLED',
+                endTime: new Date(),
+                scheduledEndTime: null,
+                lobbyExpiresAt: null,
+                'readyCheck.expiresAt': null,
+                pausedAt: null,
+                cancelReason: reason,
+                cancelledBy
+            }
+        },
+        { new: true, session: dbSession }
+    );
+};
+
+// Find session by invite code (case-insensitive)
+gameSessionSchema.statics.findByInviteCode = function(inviteCode) {
+    return this.findOne({ inviteCode: String(inviteCode).toUpperCase() });
+};
+
 // Find session by sessionId
 gameSessionSchema.statics.findBySessionId = function(sessionId) {
     return this.findOne({ sessionId });
@@ -254,11 +801,9 @@ gameSessionSchema.statics.findBySessionId = function(sessionId) {
 
 // Pre-save Hook
 // Validate minPlayersToStart <= maxPlayers
-gameSessionSchema.pre('save', function(next) {
+gameSessionSchema.pre('save', function() {
     if (this.minPlayersToStart > this.maxPlayers) {
-        next(new Error('minPlayersToStart cannot exceed maxPlayers'));
-    } else {
-        next();
+        throw new Error('minPlayersToStart cannot exceed maxPlayers');
     }
 });
 
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// Events that are due at `now`: pending ones, and ones whose processor died mid-way
+const buildDueQuery = (now) => ({
+    $or: [
+        { status: 'PENDING', availableAt: { $lte: now } },
+        { status: 'PROCESSING', lockedUntil: { $lte: now } }
+    ]
+});
+
+const outboxEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: {
+            values: ['DELIVER_REWARD', 'SESSION_ENDED'],
+            message: 'Type must be DELIVER_REWARD or SESSION_ENDED'
+        },
+        required: [true, 'Event type is required']
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['PENDING', 'PROCESSING', 'DONE', 'FAILED'],
+            message: 'Status must be PENDING, PROCESSING, DONE, or FAILED'
+        },
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Earliest time the event may be processed
+    availableAt: {
+        type: Date,
+        default: Date.now
+    },
+    // A PROCESSING event whose lock has expired is picked up again
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Indexes
+// Compound index on (status, availableAt) - for replaying pending events
+outboxEventSchema.index({ status: 1, availableAt: 1 });
+
+// Compound index on (status, lockedUntil) - for recovering abandoned events
+outboxEventSchema.index({ status: 1, lockedUntil: 1 });
+
+// TTL index - processed events are removed after 7 days
+outboxEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Instance Methods
+// Mark event as processed
+outboxEventSchema.methods.markDone = async function() {
+    this.status = 'DONE';
+    this.processedAt = new Date();
+    this.lockedUntil = null;
+    this.lastError = null;
+    return this.save();
+};
+
+// Record a failed attempt; retried after `retryDelayMs` until `maxAttempts`
+outboxEventSchema.methods.markFailed = async function(errorMessage, maxAttempts, retryDelayMs) {
+    this.status = this.attempts >= maxAttempts ? 'FAILED' : 'PENDING';
+    this.availableAt = new Date(Date.now() + retryDelayMs);
+    this.lockedUntil = null;
+    this.lastError = errorMessage;
+    return this.save();
+};
+
+// Static Methods
+// Find events due for processing, oldest first
+outboxEventSchema.statics.findDue = function(now = new Date()) {
+    return this.find(buildDueQuery(now)).sort({ availableAt: 1, createdAt: 1 });
+};
+
+// Atomically claim a due event so only one process handles it
+outboxEventSchema.statics.claim = function(eventId, lockMs, now = new Date()) {
+    return this.findOneAndUpdate(
+        { _id: eventId, ...buildDueQuery(now) },
+        {
+            $set: { status: 'PROCESSING', lockedUntil: new Date(now.getTime() + lockMs) },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model("OutboxEvent", outboxEventSchema);
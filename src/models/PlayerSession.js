@@ -39,11 +39,41 @@ const playerSessionSchema = new mongoose.Schema({
         default: true,
         index: true
     },
+    // Team number in team sessions (null until assigned)
+    team: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    // Set during a ready check
+    isReady: {
+        type: Boolean,
+        default: false
+    },
+    readyAt: {
+        type: Date,
+        default: null
+    },
     lastActivityAt: {
         type: Date,
         default: Date.now,
         index: true
     },
+    // Score events refused by the session's anti-cheat limits
+    violationCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Set at session end when violationCount reaches the session's threshold
+    flaggedAt: {
+        type: Date,
+        default: null
+    },
+    disqualifiedAt: {
+        type: Date,
+        default: null
+    },
     rank: {
         type: Number,
         default: null,
@@ -73,6 +103,9 @@ playerSessionSchema.index({ sessionId: 1, tasksCompleted: -1 });
 // Compound index on (sessionId, isActive, score) - for active player leaderboard
 playerSessionSchema.index({ sessionId: 1, isActive: 1, score: -1 });
 
+// Compound index on (sessionId, team) - for team sizes and team leaderboards
+playerSessionSchema.index({ sessionId: 1, team: 1 });
+
 // Index on rank (for quick rank lookups)
 playerSessionSchema.index({ rank: 1 });
 
@@ -90,6 +123,12 @@ playerSessionSchema.virtual('totalPoints').get(function() {
 });
 
 // Instance Methods
+// Time played (ms) between the session start (or joining, if later) and `endTime`
+playerSessionSchema.methods.getTimePlayed = function(sessionStartTime, endTime = new Date()) {
+    const startTime = sessionStartTime && sessionStartTime > this.joinedAt ? sessionStartTime : this.joinedAt;
+    return Math.max(0, endTime.getTime() - startTime.getTime());
+};
+
 // Increment score
 playerSessionSchema.methods.incrementScore = async function(points) {
     if (points < 0) {
@@ -108,17 +147,6 @@ playerSessionSchema.methods.completeTask = async function(pointsPerTask = 10) {
     return this.save();
 };
 
-// Update score and tasks
-playerSessionSchema.methods.updatePerformance = async function(score, tasks) {
-    if (score < 0 || tasks < 0) {
-        throw new Error('Score and tasks cannot be negative');
-    }
-    this.score = score;
-    this.tasksCompleted = tasks;
-    this.lastActivityAt = new Date();
-    return this.save();
-};
-
 // Leave the session
 playerSessionSchema.methods.leaveSession = async function() {
     if (!this.isActive) {
@@ -141,6 +169,54 @@ playerSessionSchema.methods.rejoinSession = async function() {
 };
 
 // Static Methods
+// Clear every player's ready flag before a new ready check
+playerSessionSchema.statics.resetReady = function(sessionId) {
+    return this.updateMany(
+        { sessionId },
+        { $set: { isReady: false, readyAt: null } }
+    );
+};
+
+// Count active players per team, as a Map of team number to count
+playerSessionSchema.statics.countByTeam = async function(sessionId, dbSession = null) {
+    const counts = await this.aggregate([
+        { $match: { sessionId: new mongoose.Types.ObjectId(sessionId), isActive: true, team: { $ne: null } } },
+        { $group: { _id: '$team', count: { $sum: 1 } } }
+    ]).session(dbSession);
+    return new Map(counts.map(entry => [entry._id, entry.count]));
+};
+
+// Sum active players' scores per team (disqualified players do not count)
+playerSessionSchema.statics.getTeamTotals = function(sessionId, dbSession = null) {
+    return this.aggregate([
+        {
+            $match: {
+                sessionId: new mongoose.Types.ObjectId(sessionId),
+                isActive: true,
+                team: { $ne: null },
+                disqualifiedAt: null
+            }
+        },
+        {
+            $group: {
+                _id: '$team',
+                score: { $sum: '$score' },
+                tasksCompleted: { $sum: '$tasksCompleted' },
+                memberCount: { $sum: 1 }
+            }
+        }
+    ]).session(dbSession);
+};
+
+// Deactivate every active player in a session (e.g. when it is cancelled)
+playerSessionSchema.statics.deactivateAll = function(sessionId, dbSession = null) {
+    return this.updateMany(
+        { sessionId, isActive: true },
+        { $set: { isActive: false, leftAt: new Date() } },
+        { session: dbSession }
+    );
+};
+
 // Find player session by session and user
 playerSessionSchema.statics.findBySessionAndUser = function(sessionId, userId) {
     return this.findOne({ sessionId, userId });
@@ -188,10 +264,11 @@ playerSessionSchema.statics.getPlayerRank = async function(sessionId, userId) {
     return playersAhead + 1;
 };
 
-// Calculate ranks for all players in session
-playerSessionSchema.statics.calculateRanks = async function(sessionId) {
+// Calculate ranks for all players in session (disqualified players last)
+playerSessionSchema.statics.calculateRanks = async function(sessionId, dbSession = null) {
     const players = await this.find({ sessionId, isActive: true })
-        .sort({ score: -1, tasksCompleted: -1, joinedAt: 1 });
+        .session(dbSession)
+        .sort({ disqualifiedAt: 1, score: -1, tasksCompleted: -1, joinedAt: 1 });
     
     for (let i = 0; i < players.length; i++) {
         players[i].rank = i + 1;
@@ -203,10 +280,9 @@ playerSessionSchema.statics.calculateRanks = async function(sessionId) {
 
 // Pre-save Hook
 // Ensure score and tasks are non-negative
-playerSessionSchema.pre('save', function(next) {
+playerSessionSchema.pre('save', function() {
     if (this.score < 0) this.score = 0;
     if (this.tasksCompleted < 0) this.tasksCompleted = 0;
-    next();
 });
 
 module.exports = mongoose.model("PlayerSession", playerSessionSchema);
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+
+// Append-only log of score changes. A player's score and tasksCompleted are the sums
+// of their events' `points` and `tasks`; PlayerSession keeps those totals for queries.
+const scoreEventSchema = new mongoose.Schema({
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameSession',
+        required: [true, 'Session ID is required']
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: ['TASK_COMPLETED', 'POINTS_AWARDED', 'SCORE_SET'],
+            message: 'Type must be TASK_COMPLETED, POINTS_AWARDED, or SCORE_SET'
+        },
+        required: [true, 'Event type is required']
+    },
+    // Change to the score (negative only for SCORE_SET corrections)
+    points: {
+        type: Number,
+        default: 0
+    },
+    // Change to tasksCompleted
+    tasks: {
+        type: Number,
+        default: 0
+    },
+    // Catalogue task completed (TASK_COMPLETED events in sessions with a task catalogue)
+    taskId: {
+        type: String,
+        default: null
+    },
+    reason: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    // PLAYER events come from the client; SERVER events from trusted server code
+    source: {
+        type: String,
+        enum: ['PLAYER', 'SERVER'],
+        default: 'PLAYER'
+    },
+    // Admin or service account behind a SERVER event, if any
+    setBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Player totals once this event was applied
+    scoreAfter: {
+        type: Number,
+        required: true
+    },
+    tasksAfter: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// Compound index on (sessionId, userId, createdAt) - for replaying a player's log
+scoreEventSchema.index({ sessionId: 1, userId: 1, createdAt: 1 });
+
+// Static Methods
+// Sum a player's events into their totals
+scoreEventSchema.statics.getTotals = async function(sessionId, userId, dbSession = null) {
+    const [totals] = await this.aggregate([
+        {
+            $match: {
+                sessionId: new mongoose.Types.ObjectId(sessionId),
+                userId: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                score: { $sum: '$points' },
+                tasksCompleted: { $sum: '$tasks' },
+                eventCount: { $sum: 1 }
+            }
+        }
+    ]).session(dbSession);
+
+    return totals
+        ? { score: totals.score, tasksCompleted: totals.tasksCompleted, eventCount: totals.eventCount }
+        : { score: 0, tasksCompleted: 0, eventCount: 0 };
+};
+
+// Points a player gained from their own (PLAYER) events since a given time
+scoreEventSchema.statics.getPlayerPointsSince = async function(sessionId, userId, since, dbSession = null) {
+    const [sum] = await this.aggregate([
+        {
+            $match: {
+                sessionId: new mongoose.Types.ObjectId(sessionId),
+                userId: new mongoose.Types.ObjectId(userId),
+                source: 'PLAYER',
+                createdAt: { $gte: since }
+            }
+        },
+        { $group: { _id: null, points: { $sum: '$points' } } }
+    ]).session(dbSession);
+
+    return sum ? sum.points : 0;
+};
+
+// How many times a player completed each catalogue task, as a Map of taskId -> count
+scoreEventSchema.statics.countTaskCompletions = async function(sessionId, userId, dbSession = null) {
+    const counts = await this.aggregate([
+        {
+            $match: {
+                sessionId: new mongoose.Types.ObjectId(sessionId),
+                userId: new mongoose.Types.ObjectId(userId),
+                type: 'TASK_COMPLETED',
+                taskId: { $ne: null }
+            }
+        },
+        { $group: { _id: '$taskId', count: { $sum: 1 } } }
+    ]).session(dbSession);
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// A player's events, newest first
+scoreEventSchema.statics.findForPlayer = function(sessionId, userId, limit = 50) {
+    return this.find({ sessionId, userId })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model("ScoreEvent", scoreEventSchema);
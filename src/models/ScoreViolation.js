@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A score event refused by the session's anti-cheat limits
+const scoreViolationSchema = new mongoose.Schema({
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameSession',
+        required: [true, 'Session ID is required']
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: ['RATE_LIMIT', 'SCORE_DELTA', 'NON_MONOTONIC'],
+            message: 'Type must be RATE_LIMIT, SCORE_DELTA, or NON_MONOTONIC'
+        },
+        required: [true, 'Violation type is required']
+    },
+    // The refused event
+    eventType: {
+        type: String,
+        default: null
+    },
+    points: {
+        type: Number,
+        default: 0
+    },
+    message: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// Compound index on (sessionId, userId, createdAt) - for a session's or player's violations
+scoreViolationSchema.index({ sessionId: 1, userId: 1, createdAt: -1 });
+
+// Static Methods
+// A session's violations, newest first (optionally for one player)
+scoreViolationSchema.statics.findForSession = function(sessionId, userId = null, limit = 100) {
+    const query = { sessionId };
+    if (userId) {
+        query.userId = userId;
+    }
+    return this.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .populate('userId', 'username walletAddress');
+};
+
+module.exports = mongoose.model("ScoreViolation", scoreViolationSchema);
@@ -1,4 +1,20 @@
 const mongoose = require("mongoose");
+const { DEFAULTS } = require("../utils/constants");
+
+// Query matching rewards the worker should attempt at `now`
+const buildDueQuery = (now) => ({
+    $or: [
+        {
+            status: 'FAILED',
+            retryCount: { $lt: DEFAULTS.MAX_RETRY_COUNT },
+            $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+        },
+        {
+            status: 'PENDING',
+            nextAttemptAt: { $lte: now }
+        }
+    ]
+});
 
 const tokenRewardSchema = new mongoose.Schema({
     sessionId: {
@@ -18,6 +34,12 @@ const tokenRewardSchema = new mongoose.Schema({
         required: [true, 'Token amount is required'],
         min: [0, 'Token amount cannot be negative']
     },
+    // Paid place in the session's prize pool (1 = winner)
+    rank: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
     transactionHash: {
         type: String,
         default: null,
@@ -41,7 +63,8 @@ const tokenRewardSchema = new mongoose.Schema({
         uppercase: true,
         validate: {
             validator: function(v) {
-                return /^0x[a-fA-F0-9]{40}$/.test(v);
+                // Case-insensitive, addresses are stored uppercased
+                return /^0x[a-fA-F0-9]{40}$/i.test(v);
             },
             message: 'Invalid contract address format'
         }
@@ -49,8 +72,8 @@ const tokenRewardSchema = new mongoose.Schema({
     network: {
         type: String,
         enum: {
-            values: ['ETHEREUM', 'POLYGON', 'BSC', 'ARBITRUM', 'MOCK'],
-            message: 'Network must be ETHEREUM, POLYGON, BSC, ARBITRUM, or MOCK'
+            values: ['ETHEREUM', 'POLYGON', 'BSC', 'ARBITRUM', 'LOCAL', 'MOCK'],
+            message: 'Network must be ETHEREUM, POLYGON, BSC, ARBITRUM, LOCAL, or MOCK'
         },
         default: 'MOCK',
         index: true
@@ -58,8 +81,8 @@ const tokenRewardSchema = new mongoose.Schema({
     status: {
         type: String,
         enum: {
-            values: ['PENDING', 'COMPLETED', 'FAILED'],
-            message: 'Status must be PENDING, COMPLETED, or FAILED'
+            values: ['PENDING', 'SUBMITTED', 'COMPLETED', 'FAILED', 'RESOLVED'],
+            message: 'Status must be PENDING, SUBMITTED, COMPLETED, FAILED, or RESOLVED'
         },
         default: 'PENDING',
         index: true
@@ -73,13 +96,24 @@ const tokenRewardSchema = new mongoose.Schema({
         type: Number,
         default: 0,
         min: 0,
-        max: 5
+        max: DEFAULTS.MAX_RETRY_COUNT
+    },
+    // Earliest time the reward worker may (re)attempt delivery
+    nextAttemptAt: {
+        type: Date,
+        default: null,
+        index: true
     },
     rewardedAt: {
         type: Date,
         default: null,
         index: true
     },
+    // When the transfer was first mined (status SUBMITTED)
+    submittedAt: {
+        type: Date,
+        default: null
+    },
     confirmedAt: {
         type: Date,
         default: null
@@ -87,6 +121,52 @@ const tokenRewardSchema = new mongoose.Schema({
     blockNumber: {
         type: Number,
         default: null
+    },
+    // Confirmations seen at the last check
+    confirmations: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // History of every delivery attempt and manual action
+    attempts: [{
+        _id: false,
+        status: {
+            type: String,
+            required: true
+        },
+        transactionHash: {
+            type: String,
+            default: null
+        },
+        errorMessage: {
+            type: String,
+            default: null
+        },
+        note: {
+            type: String,
+            default: null
+        },
+        attemptedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    resolution: {
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        resolvedAt: {
+            type: Date,
+            default: null
+        },
+        reason: {
+            type: String,
+            default: null,
+            trim: true
+        }
     }
 }, {
     timestamps: true,
@@ -95,38 +175,115 @@ const tokenRewardSchema = new mongoose.Schema({
 });
 
 // Indexes
+// Unique index on (sessionId, userId) - at most one reward per recipient per session
+tokenRewardSchema.index({ sessionId: 1, userId: 1 }, { unique: true });
+
 // Compound index on (userId, status) - for user's reward status
 tokenRewardSchema.index({ userId: 1, status: 1 });
 
 // Compound index on (sessionId, status) - for session reward status
 tokenRewardSchema.index({ sessionId: 1, status: 1 });
 
+// Compound index on (status, nextAttemptAt) - for the reward worker
+tokenRewardSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Compound index on (status, network, submittedAt) - for the confirmation tracker
+tokenRewardSchema.index({ status: 1, network: 1, submittedAt: 1 });
+
+// Compound index on (status, network, createdAt) - for admin reward listings
+tokenRewardSchema.index({ status: 1, network: 1, createdAt: -1 });
+
 // Instance Methods
-// Mark reward as completed
-tokenRewardSchema.methods.markCompleted = async function(txHash, blockNumber = null) {
+// Mark reward as submitted (mined, not yet final)
+tokenRewardSchema.methods.markSubmitted = async function(txHash, blockNumber = null) {
     if (!txHash) {
         throw new Error('Transaction hash is required');
     }
-    
-    this.status = 'COMPLETED';
+
+    this.status = 'SUBMITTED';
     this.transactionHash = txHash;
-    this.confirmedAt = new Date();
-    if (blockNumber) {
+    this.blockNumber = blockNumber;
+    this.confirmations = 0;
+    this.submittedAt = new Date();
+    this.nextAttemptAt = null;
+    this.attempts.push({ status: 'SUBMITTED', transactionHash: txHash });
+    return this.save();
+};
+
+// Record the latest confirmation check. A different hash or block means the
+// transfer was reorged (or a replacement was mined instead).
+tokenRewardSchema.methods.recordConfirmations = async function(txHash, blockNumber, confirmations) {
+    if (txHash !== this.transactionHash || blockNumber !== this.blockNumber) {
+        this.attempts.push({
+            status: 'REORGED',
+            transactionHash: txHash,
+            note: blockNumber
+                ? `Moved from block ${this.blockNumber} to ${blockNumber}`
+                : `Removed from block ${this.blockNumber}`
+        });
+        if (txHash) {
+            this.transactionHash = txHash;
+        }
         this.blockNumber = blockNumber;
     }
-    
-    if (!this.rewardedAt) {
-        this.rewardedAt = new Date();
-    }
-    
+
+    this.confirmations = confirmations;
     return this.save();
 };
 
+// Mark a submitted reward as completed once it has enough confirmations.
+// Atomic so only one caller gets the document back (and credits the user).
+tokenRewardSchema.methods.markCompleted = async function(txHash, blockNumber, confirmations) {
+    if (!txHash) {
+        throw new Error('Transaction hash is required');
+    }
+
+    const now = new Date();
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'SUBMITTED' },
+        {
+            $set: {
+                status: 'COMPLETED',
+                transactionHash: txHash.toLowerCase(),
+                blockNumber,
+                confirmations,
+                confirmedAt: now,
+                rewardedAt: this.rewardedAt || now,
+                nextAttemptAt: null
+            },
+            $push: { attempts: { status: 'COMPLETED', transactionHash: txHash, attemptedAt: now } }
+        },
+        { new: true }
+    );
+};
+
 // Mark reward as failed
 tokenRewardSchema.methods.markFailed = async function(errorMessage) {
     this.status = 'FAILED';
     this.errorMessage = errorMessage || 'Transaction failed';
     this.retryCount += 1;
+    this.nextAttemptAt = this.retryCount < DEFAULTS.MAX_RETRY_COUNT
+        ? new Date(Date.now() + this.constructor.getBackoffDelay(this.retryCount))
+        : null;
+    this.attempts.push({ status: 'FAILED', errorMessage: this.errorMessage });
+    return this.save();
+};
+
+// Manually close a reward that will not be delivered by the system
+tokenRewardSchema.methods.resolve = async function(resolvedBy, reason) {
+    // Submitted rewards are already on-chain; the confirmation tracker settles them
+    if (['SUBMITTED', 'COMPLETED', 'RESOLVED'].includes(this.status)) {
+        throw new Error(`Cannot resolve a ${this.status.toLowerCase()} reward`);
+    }
+
+    this.status = 'RESOLVED';
+    this.nextAttemptAt = null;
+    this.resolution = {
+        resolvedBy,
+        resolvedAt: new Date(),
+        reason
+    };
+    this.attempts.push({ status: 'RESOLVED', note: reason });
     return this.save();
 };
 
@@ -135,18 +292,19 @@ tokenRewardSchema.methods.retry = async function() {
     if (this.status !== 'FAILED') {
         throw new Error('Can only retry failed rewards');
     }
-    if (this.retryCount >= 5) {
+    if (this.retryCount >= DEFAULTS.MAX_RETRY_COUNT) {
         throw new Error('Maximum retry count reached');
     }
     
     this.status = 'PENDING';
     this.errorMessage = null;
+    this.nextAttemptAt = new Date(Date.now() + DEFAULTS.REWARD_PENDING_GRACE_SECONDS * 1000);
     return this.save();
 };
 
 // Check if reward can be retried
 tokenRewardSchema.methods.canRetry = function() {
-    return this.status === 'FAILED' && this.retryCount < 5;
+    return this.status === 'FAILED' && this.retryCount < DEFAULTS.MAX_RETRY_COUNT;
 };
 
 // Static Methods
@@ -155,12 +313,53 @@ tokenRewardSchema.statics.findPending = function() {
     return this.find({ status: 'PENDING' });
 };
 
-// Find failed rewards that can be retried
-tokenRewardSchema.statics.findRetryable = function() {
-    return this.find({ 
-        status: 'FAILED',
-        retryCount: { $lt: 5 }
-    });
+// Find submitted rewards waiting for confirmations on the given networks
+tokenRewardSchema.statics.findSubmitted = function(networks) {
+    return this.find({ status: 'SUBMITTED', network: { $in: [].concat(networks) } }).sort({ submittedAt: 1 });
+};
+
+// Find rewards due for a delivery attempt: failed rewards with retries left whose
+// backoff has elapsed, and pending rewards whose grace period has elapsed
+// (i.e. the original attempt never finished)
+tokenRewardSchema.statics.findRetryable = function(now = new Date()) {
+    return this.find(buildDueQuery(now)).sort({ nextAttemptAt: 1 });
+};
+
+// Atomically claim a reward for delivery so concurrent workers never send it twice.
+// With ignoreBackoff (manual retries) any failed reward with retries left is claimable.
+tokenRewardSchema.statics.claimForDelivery = function(rewardId, { now = new Date(), ignoreBackoff = false } = {}) {
+    const dueQuery = ignoreBackoff
+        ? { status: 'FAILED', retryCount: { $lt: DEFAULTS.MAX_RETRY_COUNT } }
+        : buildDueQuery(now);
+
+    return this.findOneAndUpdate(
+        { _id: rewardId, ...dueQuery },
+        {
+            $set: {
+                status: 'PENDING',
+                errorMessage: null,
+                nextAttemptAt: new Date(now.getTime() + DEFAULTS.REWARD_PENDING_GRACE_SECONDS * 1000)
+            }
+        },
+        { new: true }
+    );
+};
+
+// Atomically claim a reward that was created for later delivery (nextAttemptAt null)
+// and has not been picked up yet
+tokenRewardSchema.statics.claimNew = function(rewardId, now = new Date()) {
+    return this.findOneAndUpdate(
+        { _id: rewardId, status: 'PENDING', nextAttemptAt: null },
+        { $set: { nextAttemptAt: new Date(now.getTime() + DEFAULTS.REWARD_PENDING_GRACE_SECONDS * 1000) } },
+        { new: true }
+    );
+};
+
+// Exponential backoff delay (ms) after the given number of failed attempts
+tokenRewardSchema.statics.getBackoffDelay = function(retryCount) {
+    const baseMs = DEFAULTS.REWARD_RETRY_BASE_DELAY_SECONDS * 1000;
+    const maxMs = DEFAULTS.REWARD_RETRY_MAX_DELAY_SECONDS * 1000;
+    return Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, retryCount - 1)));
 };
 
 // Find rewards by user
@@ -168,9 +367,14 @@ tokenRewardSchema.statics.findByUser = function(userId) {
     return this.find({ userId }).sort({ createdAt: -1 });
 };
 
-// Find reward by session
+// Find all rewards for a session, best place first
 tokenRewardSchema.statics.findBySession = function(sessionId) {
-    return this.findOne({ sessionId });
+    return this.find({ sessionId }).sort({ rank: 1 });
+};
+
+// Find a recipient's reward for a session
+tokenRewardSchema.statics.findBySessionAndUser = function(sessionId, userId) {
+    return this.findOne({ sessionId, userId });
 };
 
 // Get total tokens rewarded to user
@@ -184,14 +388,13 @@ tokenRewardSchema.statics.getUserTotalRewards = async function(userId) {
 
 // Pre-save Hook
 // Normalize addresses to uppercase
-tokenRewardSchema.pre('save', function(next) {
+tokenRewardSchema.pre('save', function() {
     if (this.contractAddress) {
         this.contractAddress = this.contractAddress.toUpperCase();
     }
     if (this.transactionHash) {
         this.transactionHash = this.transactionHash.toLowerCase();
     }
-    next();
 });
 
 module.exports = mongoose.model("TokenReward", tokenRewardSchema);
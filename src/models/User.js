@@ -20,7 +20,8 @@ const userSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         // Ethereum address format: 0x followed by 40 hex characters
-        return /^0x[a-fA-F0-9]{40}$/.test(v);
+        // (case-insensitive, addresses are stored uppercased)
+        return /^0x[a-fA-F0-9]{40}$/i.test(v);
       },
       message: 'Invalid wallet address format. Must be a valid Ethereum address (0x followed by 40 hex characters)'
     },
@@ -34,11 +35,29 @@ const userSchema = new mongoose.Schema({
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
     index: true
   },
+  role: {
+    type: String,
+    enum: {
+      values: ['PLAYER', 'MODERATOR', 'ADMIN'],
+      message: 'Role must be PLAYER, MODERATOR, or ADMIN'
+    },
+    default: 'PLAYER',
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true,
     index: true
   },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deactivationReason: {
+    type: String,
+    default: null,
+    trim: true
+  },
   totalSessionsJoined: {
     type: Number,
     default: 0,
@@ -53,6 +72,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -66,6 +89,30 @@ userSchema.methods.canJoinSession = function() {
   return this.isActive;
 };
 
+// Check if user has one of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+userSchema.methods.isAdmin = function() {
+  return this.role === 'ADMIN';
+};
+
+// Deactivate / reactivate the account
+userSchema.methods.deactivate = async function(reason = null) {
+  this.isActive = false;
+  this.deactivatedAt = new Date();
+  this.deactivationReason = reason;
+  return this.save();
+};
+
+userSchema.methods.activate = async function() {
+  this.isActive = true;
+  this.deactivatedAt = null;
+  this.deactivationReason = null;
+  return this.save();
+};
+
 // Increment session statistics
 userSchema.methods.incrementSessionsJoined = async function() {
   this.totalSessionsJoined += 1;
@@ -82,6 +129,12 @@ userSchema.methods.addTokensEarned = async function(amount) {
   return this.save();
 };
 
+// Record a successful wallet sign-in
+userSchema.methods.recordLogin = async function() {
+  this.lastLoginAt = new Date();
+  return this.save();
+};
+
 // Static Methods
 // Find user by wallet address
 userSchema.statics.findByWalletAddress = function(walletAddress) {
@@ -95,11 +148,10 @@ userSchema.statics.findActive = function() {
 
 // Pre-save Hook
 // Normalize wallet address to uppercase
-userSchema.pre('save', function(next) {
+userSchema.pre('save', function() {
   if (this.walletAddress) {
     this.walletAddress = this.walletAddress.toUpperCase();
   }
-  next();
 });
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+
+const walletNonceSchema = new mongoose.Schema({
+    network: {
+        type: String,
+        required: [true, 'Network is required']
+    },
+    address: {
+        type: String,
+        required: [true, 'Wallet address is required'],
+        uppercase: true,
+        trim: true
+    },
+    // Next nonce to hand out for this wallet on this network
+    nextNonce: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Which server instance is allocating from (or repairing) this counter, so
+    // instances sharing the wallet take turns
+    lease: {
+        owner: {
+            type: String,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// One nonce counter per wallet per network
+walletNonceSchema.index({ network: 1, address: 1 }, { unique: true });
+
+// Static Methods
+// Atomically reserve the next nonce. chainPendingNonce (the node's pending
+// transaction count) moves the counter forward if the wallet was used elsewhere.
+walletNonceSchema.statics.allocate = async function(network, address, chainPendingNonce) {
+    const key = { network, address: address.toUpperCase() };
+
+    // Make sure the counter exists and is not behind the chain
+    await this.updateOne(
+        key,
+        { $max: { nextNonce: chainPendingNonce } },
+        { upsert: true }
+    );
+
+    const counter = await this.findOneAndUpdate(
+        key,
+        { $inc: { nextNonce: 1 } },
+        { new: false }
+    );
+
+    return counter.nextNonce;
+};
+
+// Give a nonce back if it was never broadcast and nothing was allocated after it
+walletNonceSchema.statics.release = async function(network, address, nonce) {
+    const result = await this.updateOne(
+        { network, address: address.toUpperCase(), nextNonce: nonce + 1 },
+        { $set: { nextNonce: nonce } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Point the counter at nextNonce, moving it back if nonces were skipped. Only safe
+// while holding the counter's lease, so no other instance allocates at the same time.
+walletNonceSchema.statics.reset = function(network, address, nextNonce) {
+    return this.updateOne(
+        { network, address: address.toUpperCase() },
+        { $set: { nextNonce } },
+        { upsert: true }
+    );
+};
+
+// Take the counter's lease (or extend it if owner already holds it). Returns null
+// while another instance holds an unexpired lease.
+walletNonceSchema.statics.acquireLease = async function(network, address, owner, leaseMs, now = new Date()) {
+    const key = { network, address: address.toUpperCase() };
+
+    // Make sure the counter exists; allocate moves it up to the chain's nonce
+    await this.updateOne(key, { $setOnInsert: { nextNonce: 0 } }, { upsert: true });
+
+    return this.findOneAndUpdate(
+        {
+            ...key,
+            $or: [
+                { 'lease.expiresAt': null },
+                { 'lease.expiresAt': { $lte: now } },
+                { 'lease.owner': owner }
+            ]
+        },
+        {
+            $set: {
+                'lease.owner': owner,
+                'lease.expiresAt': new Date(now.getTime() + leaseMs)
+            }
+        },
+        { new: true }
+    );
+};
+
+walletNonceSchema.statics.releaseLease = function(network, address, owner) {
+    return this.updateOne(
+        { network, address: address.toUpperCase(), 'lease.owner': owner },
+        { $set: { 'lease.owner': null, 'lease.expiresAt': null } }
+    );
+};
+
+// Check owner still holds an unexpired lease on the counter
+walletNonceSchema.statics.holdsLease = async function(network, address, owner, now = new Date()) {
+    const count = await this.countDocuments({
+        network,
+        address: address.toUpperCase(),
+        'lease.owner': owner,
+        'lease.expiresAt': { $gt: now }
+    });
+    return count > 0;
+};
+
+module.exports = mongoose.model("WalletNonce", walletNonceSchema);
@@ -0,0 +1,193 @@
+const mongoose = require("mongoose");
+
+const walletTransactionSchema = new mongoose.Schema({
+    network: {
+        type: String,
+        required: [true, 'Network is required'],
+        index: true
+    },
+    fromAddress: {
+        type: String,
+        required: [true, 'Sender address is required'],
+        uppercase: true,
+        trim: true
+    },
+    nonce: {
+        type: Number,
+        required: [true, 'Nonce is required'],
+        min: 0
+    },
+    rewardId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TokenReward',
+        default: null,
+        index: true
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: String,
+        default: '0x'
+    },
+    gasLimit: {
+        type: String,
+        required: true
+    },
+    // EIP-1559 fees (wei, as strings)
+    maxFeePerGas: {
+        type: String,
+        default: null
+    },
+    maxPriorityFeePerGas: {
+        type: String,
+        default: null
+    },
+    // Legacy fee (wei, as string) for networks without EIP-1559
+    gasPrice: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['PENDING', 'MINED', 'FAILED', 'DROPPED'],
+            message: 'Status must be PENDING, MINED, FAILED, or DROPPED'
+        },
+        default: 'PENDING',
+        index: true
+    },
+    // Hash and signed payload of the latest broadcast (rebroadcast if dropped from the mempool)
+    currentTxHash: {
+        type: String,
+        required: true
+    },
+    rawTransaction: {
+        type: String,
+        required: true
+    },
+    // Every hash broadcast for this nonce, including gas-bumped replacements
+    txHashes: [{
+        type: String
+    }],
+    bumpCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lastBroadcastAt: {
+        type: Date,
+        default: null
+    },
+    minedTxHash: {
+        type: String,
+        default: null
+    },
+    blockNumber: {
+        type: Number,
+        default: null
+    },
+    blockHash: {
+        type: String,
+        default: null
+    },
+    errorMessage: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// A nonce is used by at most one logical transaction per wallet per network
+walletTransactionSchema.index({ network: 1, fromAddress: 1, nonce: 1 }, { unique: true });
+
+// Compound index on (rewardId, status) - find in-flight transfers for a reward
+walletTransactionSchema.index({ rewardId: 1, status: 1 });
+
+// Instance Methods
+// Record a gas-bumped replacement (same nonce, higher fees)
+walletTransactionSchema.methods.recordReplacement = async function(signed, fees) {
+    this.currentTxHash = signed.hash;
+    this.rawTransaction = signed.rawTransaction;
+    this.txHashes.push(signed.hash);
+    this.maxFeePerGas = fees.maxFeePerGas;
+    this.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    this.gasPrice = fees.gasPrice;
+    this.bumpCount += 1;
+    this.lastBroadcastAt = new Date();
+    return this.save();
+};
+
+walletTransactionSchema.methods.markMined = async function(txHash, blockNumber, succeeded, blockHash = null) {
+    this.status = succeeded ? 'MINED' : 'FAILED';
+    this.minedTxHash = txHash;
+    this.blockNumber = blockNumber;
+    this.blockHash = blockHash;
+    if (!succeeded) {
+        this.errorMessage = 'Transaction reverted';
+    }
+    return this.save();
+};
+
+walletTransactionSchema.methods.markDropped = async function(errorMessage) {
+    this.status = 'DROPPED';
+    this.errorMessage = errorMessage;
+    return this.save();
+};
+
+// Back to PENDING after a reorg removed the block it was mined in
+walletTransactionSchema.methods.markUnmined = async function() {
+    this.status = 'PENDING';
+    this.minedTxHash = null;
+    this.blockNumber = null;
+    this.blockHash = null;
+    this.lastBroadcastAt = new Date();
+    return this.save();
+};
+
+// Static Methods
+// Find the in-flight (or already mined) transfer for a reward, if any
+walletTransactionSchema.statics.findActiveForReward = function(rewardId) {
+    return this.findOne({
+        rewardId,
+        status: { $in: ['PENDING', 'MINED'] }
+    }).sort({ createdAt: -1 });
+};
+
+// Nonces from fromNonce up that are taken by a stored transaction, ascending.
+// A dropped transaction never reached the chain, so its nonce is free again.
+walletTransactionSchema.statics.findNoncesInUse = async function(network, fromAddress, fromNonce) {
+    const nonces = await this.distinct('nonce', {
+        network,
+        fromAddress: fromAddress.toUpperCase(),
+        nonce: { $gte: fromNonce },
+        status: { $ne: 'DROPPED' }
+    });
+    return nonces.sort((a, b) => a - b);
+};
+
+// Store a transaction that only fills a skipped nonce, taking over the nonce's
+// dropped transaction if there is one
+walletTransactionSchema.statics.recordFiller = function(network, fromAddress, nonce, fields) {
+    return this.findOneAndUpdate(
+        { network, fromAddress: fromAddress.toUpperCase(), nonce, status: 'DROPPED' },
+        {
+            $set: {
+                ...fields,
+                rewardId: null,
+                status: 'PENDING',
+                bumpCount: 0,
+                minedTxHash: null,
+                blockNumber: null,
+                blockHash: null,
+                errorMessage: null
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model("WalletTransaction", walletTransactionSchema);
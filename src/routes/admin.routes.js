@@ -0,0 +1,85 @@
+const router = require('express').Router();
+const adminController = require('../controllers/admin.controller');
+const { authenticateToken, requireRole } = require('../middlewares/auth.middleware');
+const {
+  validateObjectIdParam,
+  validateSetRole,
+  validateListRewards,
+  validateResolveReward,
+  validateSetScore,
+  validateListViolations
+} = require('../middlewares/validation.middleware');
+const { USER_ROLE } = require('../utils/constants');
+
+// All admin routes require an authenticated admin
+router.use(authenticateToken, requireRole(USER_ROLE.ADMIN));
+
+// List users
+router.get('/users', adminController.listUsers);
+
+// Deactivate user (revokes all of their sessions)
+router.post(
+  '/users/:userId/deactivate',
+  validateObjectIdParam('userId'),
+  adminController.deactivateUser
+);
+
+// Reactivate user
+router.post(
+  '/users/:userId/activate',
+  validateObjectIdParam('userId'),
+  adminController.activateUser
+);
+
+// Change user role
+router.patch(
+  '/users/:userId/role',
+  validateObjectIdParam('userId'),
+  validateSetRole,
+  adminController.setUserRole
+);
+
+// List token rewards (filter by status, network, sessionId, userId; paginated)
+router.get('/rewards', validateListRewards, adminController.listRewards);
+
+// Retry all retryable token rewards
+router.post('/rewards/retry', adminController.retryAllRewards);
+
+// Get token reward with attempt history
+router.get(
+  '/rewards/:rewardId',
+  validateObjectIdParam('rewardId'),
+  adminController.getReward
+);
+
+// Retry failed token reward
+router.post(
+  '/rewards/:rewardId/retry',
+  validateObjectIdParam('rewardId'),
+  adminController.retryReward
+);
+
+// Manually mark token reward as resolved
+router.post(
+  '/rewards/:rewardId/resolve',
+  validateObjectIdParam('rewardId'),
+  validateResolveReward,
+  adminController.resolveReward
+);
+
+// Set a player's score and tasks outright (logged as a SCORE_SET event)
+router.put(
+  '/sessions/:sessionId/players/:userId/score',
+  validateObjectIdParam('userId'),
+  validateSetScore,
+  adminController.setPlayerScore
+);
+
+// List a session's anti-cheat violations (filter by userId)
+router.get(
+  '/sessions/:sessionId/violations',
+  validateListViolations,
+  adminController.getScoreViolations
+);
+
+module.exports = router;
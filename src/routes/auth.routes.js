@@ -0,0 +1,25 @@
+const router = require('express').Router();
+const authController = require('../controllers/auth.controller');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const {
+  validateNonceRequest,
+  validateSignIn,
+  validateRefreshToken
+} = require('../middlewares/validation.middleware');
+
+// Request a SIWE nonce for a wallet (public)
+router.post('/nonce', validateNonceRequest, authController.getNonce);
+
+// Verify signed SIWE message, register on first login (public)
+router.post('/verify', validateSignIn, authController.verify);
+
+// Exchange refresh token for a new token pair (public)
+router.post('/refresh', validateRefreshToken, authController.refresh);
+
+// Revoke current session (auth required)
+router.post('/logout', authenticateToken, authController.logout);
+
+// Revoke all sessions of the current user (auth required)
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+
+module.exports = router;
@@ -1,10 +1,18 @@
 const router = require('express').Router();
 const sessionController = require('../controllers/session.controller');
-const { authenticateToken } = require('../middlewares/auth.middleware');
+const { authenticateToken, optionalAuth } = require('../middlewares/auth.middleware');
 const {
   validateCreateSession,
   validateJoinSession,
-  validateUpdateScore
+  validateUpdateScore,
+  validateExtendSession,
+  validateCancelSession,
+  validateSessionAccess,
+  validateInviteCodeParam,
+  validateInviteUsers,
+  validateRemovePlayer,
+  validateSetTeam,
+  validateObjectIdParam
 } = require('../middlewares/validation.middleware');
 
 // Create session (auth required)
@@ -15,8 +23,17 @@ router.post(
   sessionController.createSession
 );
 
-// List sessions (public)
-router.get('/', sessionController.listSessions);
+// List sessions (public; signed-in users also see their private sessions)
+router.get('/', optionalAuth, sessionController.listSessions);
+
+// Join session by invite code (auth required)
+router.post(
+  '/invite/:inviteCode/join',
+  authenticateToken,
+  validateInviteCodeParam,
+  validateSessionAccess,
+  sessionController.joinByInviteCode
+);
 
 // Get session details (public)
 router.get(
@@ -30,9 +47,27 @@ router.post(
   '/:sessionId/join',
   authenticateToken,
   validateJoinSession,
+  validateSessionAccess,
   sessionController.joinSession
 );
 
+// Get invite code and invite list (auth required, creator or admin)
+router.get(
+  '/:sessionId/invite',
+  authenticateToken,
+  validateJoinSession,
+  sessionController.getSessionInvite
+);
+
+// Invite users (auth required, creator or admin)
+router.post(
+  '/:sessionId/invites',
+  authenticateToken,
+  validateJoinSession,
+  validateInviteUsers,
+  sessionController.inviteUsers
+);
+
 // Leave session (auth required)
 router.post(
   '/:sessionId/leave',
@@ -41,7 +76,23 @@ router.post(
   sessionController.leaveSession
 );
 
-// End session (auth required, creator only)
+// Start session (auth required, creator or admin)
+router.post(
+  '/:sessionId/start',
+  authenticateToken,
+  validateJoinSession,
+  sessionController.startSession
+);
+
+// Mark ready during a ready check (auth required, players)
+router.post(
+  '/:sessionId/ready',
+  authenticateToken,
+  validateJoinSession,
+  sessionController.markReady
+);
+
+// End session (auth required, creator or admin)
 router.post(
   '/:sessionId/end',
   authenticateToken,
@@ -49,6 +100,58 @@ router.post(
   sessionController.endSession
 );
 
+// Cancel session (auth required, creator or admin)
+router.post(
+  '/:sessionId/cancel',
+  authenticateToken,
+  validateJoinSession,
+  validateCancelSession,
+  sessionController.cancelSession
+);
+
+// Pause session (auth required, creator or admin)
+router.post(
+  '/:sessionId/pause',
+  authenticateToken,
+  validateJoinSession,
+  sessionController.pauseSession
+);
+
+// Resume session (auth required, creator or admin)
+router.post(
+  '/:sessionId/resume',
+  authenticateToken,
+  validateJoinSession,
+  sessionController.resumeSession
+);
+
+// Extend session (auth required, creator or admin)
+router.post(
+  '/:sessionId/extend',
+  authenticateToken,
+  validateJoinSession,
+  validateExtendSession,
+  sessionController.extendSession
+);
+
+// Kick player (auth required, creator, moderator or admin)
+router.post(
+  '/:sessionId/kick',
+  authenticateToken,
+  validateJoinSession,
+  validateRemovePlayer,
+  sessionController.kickPlayer
+);
+
+// Ban player (auth required, creator, moderator or admin)
+router.post(
+  '/:sessionId/ban',
+  authenticateToken,
+  validateJoinSession,
+  validateRemovePlayer,
+  sessionController.banPlayer
+);
+
 // Get leaderboard (public)
 router.get(
   '/:sessionId/leaderboard',
@@ -56,6 +159,39 @@ router.get(
   sessionController.getLeaderboard
 );
 
+// Get team leaderboard (public, team sessions)
+router.get(
+  '/:sessionId/teams',
+  validateJoinSession,
+  sessionController.getTeamLeaderboard
+);
+
+// Pick a team, or assign a player to one (auth required; creator or admin for others)
+router.post(
+  '/:sessionId/team',
+  authenticateToken,
+  validateJoinSession,
+  validateSetTeam,
+  sessionController.setTeam
+);
+
+// Get the task catalogue with the caller's completions (auth required)
+router.get(
+  '/:sessionId/tasks',
+  authenticateToken,
+  validateJoinSession,
+  sessionController.getSessionTasks
+);
+
+// Get a player's score events (auth required; the player, creator or admin)
+router.get(
+  '/:sessionId/players/:userId/score-events',
+  authenticateToken,
+  validateJoinSession,
+  validateObjectIdParam('userId'),
+  sessionController.getScoreEvents
+);
+
 // Update score (auth required)
 router.post(
   '/:sessionId/update-score',
@@ -1,7 +1,7 @@
 const router = require("express").Router();
-const { register } = require("../controllers/user.controller");
-const { validateRegister } = require("../middlewares/validation.middleware");
+const { getProfile } = require("../controllers/user.controller");
+const { authenticateToken } = require("../middlewares/auth.middleware");
 
-router.post("/register", validateRegister, register);
+router.get("/me", authenticateToken, getProfile);
 
 module.exports = router;
@@ -1,4 +1,11 @@
 require("dotenv").config();
+
+// Sign-in messages must be bound to a fixed domain, not the request's Host header
+if (!process.env.SIWE_DOMAIN) {
+    console.error("SIWE_DOMAIN is required");
+    process.exit(1);
+}
+
 const http = require("http");
 const { Server } = require("socket.io");
 
@@ -6,6 +13,9 @@ const app = require("./app");
 const connectDB = require("./config/db");
 const initSocket = require("./sockets/session.socket");
 const SessionAutoEndService = require("./services/sessionAutoEnd.service");
+const SessionCountdownService = require("./services/sessionCountdown.service");
+const RewardWorkerService = require("./services/rewardWorker.service");
+const OutboxWorkerService = require("./services/outboxWorker.service");
 
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -22,6 +32,18 @@ initSocket(io);
 const autoEndService = new SessionAutoEndService(io);
 autoEndService.start();
 
+// Start countdown broadcasts for live sessions
+const countdownService = new SessionCountdownService(io);
+countdownService.start();
+
+// Start reward worker for pending/failed token rewards
+const rewardWorker = new RewardWorkerService(io);
+rewardWorker.start();
+
+// Start outbox worker for side effects of committed session changes
+const outboxWorker = new OutboxWorkerService(io);
+outboxWorker.start();
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () =>
     console.log(`Server running on port ${PORT}`)
@@ -31,6 +53,9 @@ server.listen(PORT, () =>
 process.on('SIGTERM', () => {
     console.log('SIGTERM signal received: closing HTTP server');
     autoEndService.stop();
+    countdownService.stop();
+    rewardWorker.stop();
+    outboxWorker.stop();
     server.close(() => {
         console.log('HTTP server closed');
     });
@@ -39,6 +64,9 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
     console.log('SIGINT signal received: closing HTTP server');
     autoEndService.stop();
+    countdownService.stop();
+    rewardWorker.stop();
+    outboxWorker.stop();
     server.close(() => {
         console.log('HTTP server closed');
         process.exit(0);
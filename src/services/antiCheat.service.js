@@ -0,0 +1,117 @@
+const PlayerSession = require('../models/PlayerSession');
+const ScoreEvent = require('../models/ScoreEvent');
+const ScoreViolation = require('../models/ScoreViolation');
+const { RateLimitError, ValidationError } = require('../utils/errors');
+const { SCORE_EVENT_SOURCE, SCORE_VIOLATION_TYPE, VIOLATION_ACTION } = require('../utils/constants');
+
+class AntiCheatService {
+  // Check a score event against the session's limits (config.antiCheat). Returns the
+  // violation, or null if the event may be recorded. Only player events are limited;
+  // runs inside the score transaction so concurrent events see each other.
+  async checkScoreEvent(session, userId, event, dbSession = null) {
+    if (event.source !== SCORE_EVENT_SOURCE.PLAYER) {
+      return null;
+    }
+
+    // Player events only ever add to a score
+    if (event.points < 0 || event.tasks < 0) {
+      return {
+        type: SCORE_VIOLATION_TYPE.NON_MONOTONIC,
+        message: 'Score updates cannot lower a score'
+      };
+    }
+
+    const { maxUpdatesPerSecond, maxPointsPerWindow, windowSeconds } = session.config.antiCheat || {};
+    const now = Date.now();
+
+    if (maxUpdatesPerSecond) {
+      const recentUpdates = await ScoreEvent.countDocuments({
+        sessionId: session._id,
+        userId,
+        source: SCORE_EVENT_SOURCE.PLAYER,
+        createdAt: { $gt: new Date(now - 1000) }
+      }).session(dbSession);
+
+      if (recentUpdates >= maxUpdatesPerSecond) {
+        return {
+          type: SCORE_VIOLATION_TYPE.RATE_LIMIT,
+          message: `Too many score updates (max ${maxUpdatesPerSecond} per second)`
+        };
+      }
+    }
+
+    if (maxPointsPerWindow) {
+      const windowPoints = await ScoreEvent.getPlayerPointsSince(
+        session._id,
+        userId,
+        new Date(now - windowSeconds * 1000),
+        dbSession
+      );
+
+      if (windowPoints + event.points > maxPointsPerWindow) {
+        return {
+          type: SCORE_VIOLATION_TYPE.SCORE_DELTA,
+          message: `Cannot gain more than ${maxPointsPerWindow} points in ${windowSeconds} seconds`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Record a refused event and count it against the player
+  async recordViolation(session, userId, event, violation) {
+    await ScoreViolation.create({
+      sessionId: session._id,
+      userId,
+      type: violation.type,
+      eventType: event.type,
+      points: event.points,
+      message: violation.message
+    });
+
+    await PlayerSession.updateOne(
+      { sessionId: session._id, userId },
+      { $inc: { violationCount: 1 } }
+    );
+  }
+
+  // Error returned to the player for a violation
+  toError(violation) {
+    return violation.type === SCORE_VIOLATION_TYPE.NON_MONOTONIC
+      ? new ValidationError(violation.message)
+      : new RateLimitError(violation.message);
+  }
+
+  // Flag or disqualify (per config.antiCheat.violationAction) the players who reached
+  // the violation threshold. Runs when the session ends, before the winner is picked.
+  async applyViolationActions(session, dbSession = null) {
+    const { violationAction, violationThreshold } = session.config.antiCheat || {};
+
+    if (!violationAction || violationAction === VIOLATION_ACTION.NONE) {
+      return [];
+    }
+
+    const field = violationAction === VIOLATION_ACTION.DISQUALIFY ? 'disqualifiedAt' : 'flaggedAt';
+    const players = await PlayerSession.find({
+      sessionId: session._id,
+      isActive: true,
+      violationCount: { $gte: violationThreshold },
+      [field]: null
+    }).session(dbSession);
+
+    const now = new Date();
+    for (const player of players) {
+      player[field] = now;
+      await player.save();
+    }
+
+    if (players.length > 0) {
+      console.log(`Session ${session.sessionId}: ${violationAction.toLowerCase()} applied to ${players.length} player(s)`);
+    }
+
+    return players.map(player => player.userId);
+  }
+}
+
+module.exports = new AntiCheatService();
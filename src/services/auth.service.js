@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage, generateNonce } = require('siwe');
+const { getAddress } = require('ethers');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
+const AuthSession = require('../models/AuthSession');
+const { AuthenticationError, ConflictError, ValidationError } = require('../utils/errors');
+const { DEFAULTS, USER_ROLE } = require('../utils/constants');
+const { isValidUsername } = require('../utils/validators');
+
+const SIWE_STATEMENT = 'Sign in to the game server with your wallet.';
+
+class AuthService {
+  constructor() {
+    this.chainId = parseInt(process.env.SIWE_CHAIN_ID) || DEFAULTS.SIWE_CHAIN_ID;
+    this.nonceTtlMinutes = parseInt(process.env.AUTH_NONCE_TTL_MINUTES) || DEFAULTS.AUTH_NONCE_TTL_MINUTES;
+    this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || DEFAULTS.ACCESS_TOKEN_EXPIRES_IN;
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULTS.REFRESH_TOKEN_TTL_DAYS;
+    this.adminWallets = (process.env.ADMIN_WALLET_ADDRESSES || '')
+      .split(',')
+      .map(address => address.trim().toUpperCase())
+      .filter(Boolean);
+  }
+
+  // Issue a sign-in nonce and the EIP-4361 message the wallet should sign
+  async createNonce(walletAddress, { domain, uri }) {
+    const nonce = generateNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.nonceTtlMinutes * 60 * 1000);
+
+    await AuthNonce.create({ nonce, walletAddress, expiresAt });
+
+    const message = new SiweMessage({
+      domain,
+      // SIWE requires the EIP-55 checksummed form of the address
+      address: getAddress(walletAddress.toLowerCase()),
+      statement: SIWE_STATEMENT,
+      uri,
+      version: '1',
+      chainId: this.chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    return {
+      nonce,
+      message: message.prepareMessage(),
+      expiresAt
+    };
+  }
+
+  // Verify a signed SIWE message and sign the wallet owner in (registering on first login)
+  async verifySignIn({ message, signature, username }, { domain, userAgent, ipAddress }) {
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      throw new ValidationError('Invalid sign-in message');
+    }
+
+    const { success, error } = await siweMessage.verify(
+      { signature, domain, nonce: siweMessage.nonce },
+      { suppressExceptions: true }
+    );
+
+    if (!success) {
+      throw new AuthenticationError(error?.type || 'Invalid signature');
+    }
+
+    // Nonces are single use: consume only after the signature checks out
+    const consumed = await AuthNonce.consume(siweMessage.nonce, siweMessage.address);
+    if (!consumed) {
+      throw new AuthenticationError('Invalid or expired nonce');
+    }
+
+    let user = await User.findByWalletAddress(siweMessage.address);
+    let isNewUser = false;
+
+    if (user) {
+      if (!user.isActive) {
+        throw new AuthenticationError('User account is not active');
+      }
+    } else {
+      if (!username || !isValidUsername(username)) {
+        throw new ValidationError('Validation failed', [
+          'Username must be 3-30 characters and contain only letters, numbers, and underscores'
+        ]);
+      }
+
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        throw new ConflictError('Username already exists');
+      }
+
+      user = await User.create({ username, walletAddress: siweMessage.address });
+      isNewUser = true;
+    }
+
+    // Bootstrap admins from configuration
+    if (this.adminWallets.includes(user.walletAddress) && user.role !== USER_ROLE.ADMIN) {
+      user.role = USER_ROLE.ADMIN;
+    }
+
+    await user.recordLogin();
+
+    const tokens = await this.createAuthSession(user, { userAgent, ipAddress });
+
+    return {
+      userId: user._id,
+      username: user.username,
+      walletAddress: user.walletAddress,
+      role: user.role,
+      isNewUser,
+      ...tokens
+    };
+  }
+
+  // Open a new auth session and issue its access/refresh token pair
+  async createAuthSession(user, { userAgent = null, ipAddress = null } = {}) {
+    const secret = this.generateRefreshSecret();
+
+    const authSession = await AuthSession.create({
+      userId: user._id,
+      refreshTokenHash: this.hashToken(secret),
+      expiresAt: this.getRefreshExpiry(),
+      userAgent,
+      ipAddress
+    });
+
+    return this.buildTokens(user._id, authSession, secret);
+  }
+
+  // Exchange a refresh token for a new token pair (the old refresh token is invalidated)
+  async refresh(refreshToken, broadcastService = null) {
+    const [authSessionId, secret] = (refreshToken || '').split('.');
+
+    if (!authSessionId || !secret || !mongoose.Types.ObjectId.isValid(authSessionId)) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const authSession = await AuthSession.findById(authSessionId);
+    if (!authSession || !authSession.isValid) {
+      throw new AuthenticationError('Refresh token expired or revoked');
+    }
+
+    const user = await User.findById(authSession.userId);
+    if (!user || !user.isActive) {
+      await authSession.revoke('user_inactive');
+      throw new AuthenticationError('User account is not active');
+    }
+
+    // Rotate only if the presented token is still the current one. A stale secret
+    // (or losing a race against another request with the same token) means a
+    // refresh token was replayed: treat the session as compromised and revoke it
+    const nextSecret = this.generateRefreshSecret();
+    const rotated = await AuthSession.rotate(
+      authSession._id,
+      this.hashToken(secret),
+      this.hashToken(nextSecret),
+      this.getRefreshExpiry()
+    );
+
+    if (!rotated) {
+      await AuthSession.updateOne(
+        { _id: authSession._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+      );
+      if (broadcastService) {
+        broadcastService.disconnectAuthSession(authSession._id.toString(), 'Session revoked');
+      }
+      throw new AuthenticationError('Refresh token has already been used');
+    }
+
+    return this.buildTokens(user._id, rotated, nextSecret);
+  }
+
+  // Revoke the caller's current auth session
+  async logout(userId, authSessionId, broadcastService = null) {
+    const authSession = await AuthSession.findOne({ _id: authSessionId, userId });
+    if (authSession) {
+      await authSession.revoke('logout');
+    }
+
+    if (broadcastService) {
+      broadcastService.disconnectAuthSession(authSessionId, 'Logged out');
+    }
+
+    return { revoked: authSession ? 1 : 0 };
+  }
+
+  // Revoke every auth session for a user
+  async revokeAllSessions(userId, broadcastService = null, reason = 'logout_all') {
+    const result = await AuthSession.revokeAllForUser(userId, reason);
+
+    if (broadcastService) {
+      broadcastService.disconnectUser(userId.toString(), 'All sessions revoked');
+    }
+
+    return { revoked: result.modifiedCount };
+  }
+
+  // Verify an access token and check its auth session has not been revoked
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sid) {
+      throw new AuthenticationError('Invalid token');
+    }
+
+    const authSession = await AuthSession.findValid(decoded.sid);
+    if (!authSession || authSession.userId.toString() !== decoded.userId) {
+      throw new AuthenticationError('Token revoked');
+    }
+
+    return decoded;
+  }
+
+  // Build the token pair returned to clients
+  buildTokens(userId, authSession, secret) {
+    const token = jwt.sign(
+      { userId: userId.toString(), sid: authSession._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiresIn }
+    );
+
+    return {
+      token,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+      refreshToken: `${authSession._id}.${secret}`,
+      refreshTokenExpiresAt: authSession.expiresAt
+    };
+  }
+
+  generateRefreshSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashToken(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = new AuthService();
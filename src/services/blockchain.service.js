@@ -1,21 +1,130 @@
 const TokenReward = require('../models/TokenReward');
 const User = require('../models/User');
-const { NotFoundError, ValidationError } = require('../utils/errors');
-const { BLOCKCHAIN_NETWORK, REWARD_STATUS, DEFAULTS } = require('../utils/constants');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { BLOCKCHAIN_NETWORK, NETWORK_CONFIG, REWARD_STATUS, DEFAULTS } = require('../utils/constants');
+const EvmProvider = require('./evmProvider.service');
 const crypto = require('crypto');
 
 class BlockchainService {
   constructor() {
+    // Default network and token; sessions may pick others (see isNetworkSupported/isTokenAllowed)
     this.network = process.env.BLOCKCHAIN_NETWORK || BLOCKCHAIN_NETWORK.MOCK;
     this.contractAddress = process.env.TOKEN_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000';
     this.rpcUrl = process.env.BLOCKCHAIN_RPC_URL;
     this.defaultTokenAmount = parseFloat(process.env.DEFAULT_TOKEN_AMOUNT) || 100;
+    // Upper bound on a session's prize pool, since it is paid from the hot wallet
+    this.maxPrizePool = parseFloat(process.env.MAX_PRIZE_POOL) || DEFAULTS.MAX_PRIZE_POOL;
+    // One EVM provider (and transaction queue) per network
+    this.providers = new Map();
   }
 
-  // Award token to winner
-  async awardToken(sessionId, userId, tokenAmount = null) {
+  // RPC URL for a network: BLOCKCHAIN_RPC_URL_<NETWORK>, or BLOCKCHAIN_RPC_URL for the default network
+  getRpcUrl(network) {
+    return process.env[`BLOCKCHAIN_RPC_URL_${network}`] || (network === this.network ? this.rpcUrl : undefined);
+  }
+
+  // Networks rewards can be paid on: the default network and every network with its own RPC URL
+  getSupportedNetworks() {
+    const networks = Object.keys(NETWORK_CONFIG).filter(network =>
+      network !== this.network && process.env[`BLOCKCHAIN_RPC_URL_${network}`]
+    );
+    return [this.network, ...networks];
+  }
+
+  isNetworkSupported(network) {
+    return this.getSupportedNetworks().includes(network);
+  }
+
+  // Tokens sessions may pay on a network: ALLOWED_TOKEN_CONTRACTS_<NETWORK>, plus the
+  // default token and ALLOWED_TOKEN_CONTRACTS on the default network
+  getAllowedTokens(network) {
+    const isDefaultNetwork = network === this.network;
+    const configured = [
+      process.env[`ALLOWED_TOKEN_CONTRACTS_${network}`],
+      isDefaultNetwork ? process.env.ALLOWED_TOKEN_CONTRACTS : undefined
+    ].join(',').split(',');
+
+    return [isDefaultNetwork ? this.contractAddress : '', ...configured]
+      .map(address => address.trim().toUpperCase())
+      .filter(Boolean);
+  }
+
+  isTokenAllowed(network, contractAddress) {
+    return this.getAllowedTokens(network).includes(contractAddress.toUpperCase());
+  }
+
+  // Largest prize pool a session paying on network may have: MAX_PRIZE_POOL_<NETWORK>,
+  // or MAX_PRIZE_POOL on any network without its own cap
+  getMaxPrizePool(network = this.network) {
+    return parseFloat(process.env[`MAX_PRIZE_POOL_${network}`]) || this.maxPrizePool;
+  }
+
+  // Confirmations required before a submitted reward is final
+  getConfirmationDepth(network = this.network) {
+    const configured = parseInt(process.env[`REWARD_CONFIRMATIONS_${network}`]) ||
+      (network === this.network ? parseInt(process.env.REWARD_CONFIRMATIONS) : NaN);
+    if (configured > 0) {
+      return configured;
+    }
+
+    if (network === BLOCKCHAIN_NETWORK.MOCK) {
+      return DEFAULTS.MOCK_CONFIRMATIONS;
+    }
+
+    return NETWORK_CONFIG[network] ? NETWORK_CONFIG[network].confirmations : 1;
+  }
+
+  // Get (and lazily create) the EVM provider for a network
+  getProvider(network = this.network) {
+    if (this.providers.has(network)) {
+      return this.providers.get(network);
+    }
+
+    const networkConfig = NETWORK_CONFIG[network];
+    if (!networkConfig) {
+      throw new Error(`Unsupported blockchain network: ${network}`);
+    }
+
+    // TOKEN_DECIMALS and BLOCKCHAIN_CHAIN_ID only apply to the default network and token
+    const isDefaultNetwork = network === this.network;
+    const tokenDecimals = {};
+    if (isDefaultNetwork) {
+      const configuredDecimals = parseInt(process.env.TOKEN_DECIMALS);
+      tokenDecimals[this.contractAddress.toUpperCase()] = Number.isNaN(configuredDecimals)
+        ? networkConfig.tokenDecimals
+        : configuredDecimals;
+    }
+
+    const provider = new EvmProvider({
+      network,
+      chainId: (isDefaultNetwork && parseInt(process.env.BLOCKCHAIN_CHAIN_ID)) || networkConfig.chainId,
+      rpcUrl: this.getRpcUrl(network),
+      privateKey: process.env.PRIVATE_KEY,
+      tokenDecimals,
+      txWaitTimeoutMs: (parseInt(process.env.TX_WAIT_TIMEOUT_SECONDS) || DEFAULTS.TX_WAIT_TIMEOUT_SECONDS) * 1000,
+      queueOptions: {
+        pollIntervalMs: (parseInt(process.env.TX_POLL_INTERVAL_SECONDS) || DEFAULTS.TX_POLL_INTERVAL_SECONDS) * 1000,
+        stuckAfterMs: (parseInt(process.env.TX_STUCK_AFTER_SECONDS) || DEFAULTS.TX_STUCK_AFTER_SECONDS) * 1000,
+        gasBumpPercent: parseInt(process.env.TX_GAS_BUMP_PERCENT) || DEFAULTS.TX_GAS_BUMP_PERCENT,
+        maxGasBumps: parseInt(process.env.TX_MAX_GAS_BUMPS) || DEFAULTS.TX_MAX_GAS_BUMPS,
+        nonceLeaseMs: (parseInt(process.env.TX_NONCE_LEASE_SECONDS) || DEFAULTS.TX_NONCE_LEASE_SECONDS) * 1000
+      }
+    });
+
+    this.providers.set(network, provider);
+    return provider;
+  }
+
+  // Record a reward for a prize pool recipient (rank 1 is the winner) without sending it.
+  // Runs inside the session-end transaction; the outbox delivers it once committed.
+  async createReward(sessionId, userId, tokenAmount = null, {
+    rank = 1,
+    network = this.network,
+    contractAddress = this.contractAddress,
+    dbSession = null
+  } = {}) {
     // Get user wallet address
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).session(dbSession);
     if (!user) {
       throw new NotFoundError('User');
     }
@@ -26,62 +135,210 @@ class BlockchainService {
 
     const amount = tokenAmount || this.defaultTokenAmount;
 
-    // Check if reward already exists for this session
-    const existingReward = await TokenReward.findBySession(sessionId);
+    // Check if this user already has a reward for this session
+    const existingReward = await TokenReward.findBySessionAndUser(sessionId, userId).session(dbSession);
     if (existingReward) {
-      throw new ValidationError('Reward already exists for this session');
+      throw new ConflictError('Reward already exists for this user in this session');
     }
 
-    // Create TokenReward record (PENDING)
-    const reward = await TokenReward.create({
-      sessionId,
-      userId,
-      tokenAmount: amount,
-      contractAddress: this.contractAddress,
-      network: this.network,
-      status: REWARD_STATUS.PENDING
-    });
-
+    // Create TokenReward record (PENDING). A null nextAttemptAt keeps the reward
+    // worker away until the outbox has claimed it (see deliverNewReward).
     try {
-      let txHash = null;
-      let blockNumber = null;
-
-      // Send transaction based on network
-      if (this.network === BLOCKCHAIN_NETWORK.MOCK) {
-        const result = await this.mockSendToken(user.walletAddress, amount);
-        txHash = result.txHash;
-        blockNumber = result.blockNumber;
-      } else {
-        // Real blockchain transaction
-        const result = await this.sendTokenToBlockchain(user.walletAddress, amount);
-        txHash = result.txHash;
-        blockNumber = result.blockNumber;
+      const [reward] = await TokenReward.create([{
+        sessionId,
+        userId,
+        tokenAmount: amount,
+        rank,
+        contractAddress,
+        network,
+        status: REWARD_STATUS.PENDING,
+        nextAttemptAt: null
+      }], { session: dbSession });
+      return reward;
+    } catch (error) {
+      // Unique (sessionId, userId) index: a concurrent call created it first
+      if (error.code === 11000) {
+        throw new ConflictError('Reward already exists for this user in this session');
       }
+      throw error;
+    }
+  }
 
-      // Update TokenReward with transaction hash
-      await reward.markCompleted(txHash, blockNumber);
+  // Send a reward created by createReward. Returns null if it was already picked up;
+  // on failure the reward is marked FAILED and retried by the reward worker.
+  async deliverNewReward(rewardId) {
+    const reward = await TokenReward.claimNew(rewardId);
+    if (!reward) {
+      return null;
+    }
+
+    return this.deliverReward(reward);
+  }
+
+  // Send a reward on-chain and mark it SUBMITTED. The user is credited once the
+  // confirmation tracker sees enough confirmations (see confirmReward).
+  async deliverReward(reward, user = null) {
+    const recipient = user || await User.findById(reward.userId);
+    if (!recipient || !recipient.walletAddress) {
+      await reward.markFailed('User or wallet address not found');
+      throw new ValidationError('User or wallet address not found');
+    }
+
+    try {
+      // Send transaction (falls back to mock transfer on the MOCK network)
+      const { txHash, blockNumber } = await this.sendTokenToBlockchain(
+        recipient.walletAddress,
+        reward.tokenAmount,
+        { rewardId: reward._id, network: reward.network, contractAddress: reward.contractAddress }
+      );
 
-      // Update user's totalTokensEarned
-      await user.addTokensEarned(amount);
+      // Update TokenReward with transaction hash
+      await reward.markSubmitted(txHash, blockNumber);
 
       return {
         rewardId: reward._id,
-        userId: user._id,
-        walletAddress: user.walletAddress,
-        tokenAmount: amount,
+        sessionId: reward.sessionId,
+        userId: recipient._id,
+        walletAddress: recipient.walletAddress,
+        tokenAmount: reward.tokenAmount,
+        rank: reward.rank,
         transactionHash: txHash,
         blockNumber,
-        status: REWARD_STATUS.COMPLETED,
-        network: this.network
+        status: REWARD_STATUS.SUBMITTED,
+        network: reward.network
       };
     } catch (error) {
-      // Mark reward as failed
+      // Mark reward as failed (schedules the next attempt with backoff)
       await reward.markFailed(error.message || 'Transaction failed');
-      
-      throw new Error(`Failed to award token: ${error.message}`);
+      throw error;
     }
   }
 
+  // Check a SUBMITTED reward's transfer and complete it once it is deep enough.
+  // Reverted or dropped transfers are marked FAILED so the reward worker resends them.
+  async confirmReward(reward) {
+    const transfer = await this.getTransferStatus(reward);
+    const result = {
+      rewardId: reward._id,
+      sessionId: reward.sessionId,
+      userId: reward.userId,
+      tokenAmount: reward.tokenAmount,
+      rank: reward.rank,
+      transactionHash: transfer.txHash || reward.transactionHash,
+      network: reward.network
+    };
+
+    if (transfer.status === 'reverted' || transfer.status === 'dropped') {
+      await reward.markFailed(`Transaction ${transfer.status} before confirmation`);
+      return { ...result, status: REWARD_STATUS.FAILED, error: reward.errorMessage };
+    }
+
+    if (transfer.status === 'not_found') {
+      // Without a record of the nonce it is unsafe to resend; leave it for an admin
+      console.warn(`No transaction found for submitted reward ${reward._id}`);
+      return { ...result, status: REWARD_STATUS.SUBMITTED, confirmations: reward.confirmations };
+    }
+
+    if (transfer.status === 'pending') {
+      // Reorged out of its block; wait for it to be mined again
+      await reward.recordConfirmations(reward.transactionHash, null, 0);
+      return { ...result, status: REWARD_STATUS.SUBMITTED, confirmations: 0 };
+    }
+
+    const requiredConfirmations = this.getConfirmationDepth(reward.network);
+    if (transfer.confirmations < requiredConfirmations) {
+      await reward.recordConfirmations(transfer.txHash, transfer.blockNumber, transfer.confirmations);
+      return {
+        ...result,
+        blockNumber: transfer.blockNumber,
+        status: REWARD_STATUS.SUBMITTED,
+        confirmations: transfer.confirmations,
+        requiredConfirmations
+      };
+    }
+
+    const completedReward = await reward.markCompleted(transfer.txHash, transfer.blockNumber, transfer.confirmations);
+    if (!completedReward) {
+      // Completed (or resolved) elsewhere in the meantime
+      return null;
+    }
+
+    // Only now is the reward final: update user's totalTokensEarned
+    const recipient = await User.findById(reward.userId);
+    if (recipient) {
+      await recipient.addTokensEarned(reward.tokenAmount);
+    }
+
+    return {
+      ...result,
+      walletAddress: recipient ? recipient.walletAddress : null,
+      transactionHash: completedReward.transactionHash,
+      blockNumber: completedReward.blockNumber,
+      status: REWARD_STATUS.COMPLETED,
+      confirmations: transfer.confirmations
+    };
+  }
+
+  // Confirmation status of a reward's transfer: mined, pending, reverted, dropped or not_found
+  async getTransferStatus(reward) {
+    if (reward.network === BLOCKCHAIN_NETWORK.MOCK) {
+      return {
+        status: 'mined',
+        txHash: reward.transactionHash,
+        blockNumber: reward.blockNumber,
+        confirmations: this.getMockConfirmations(reward.blockNumber)
+      };
+    }
+
+    const provider = this.getProvider(reward.network);
+    const transfer = await provider.getTransferConfirmations(reward._id);
+    if (transfer.status !== 'not_found') {
+      return transfer;
+    }
+
+    // Sent without a queue record: fall back to the stored hash
+    const txStatus = await provider.getTransactionStatus(reward.transactionHash);
+    if (txStatus.status === 'confirmed') {
+      return { ...txStatus, status: 'mined', txHash: reward.transactionHash };
+    }
+    if (txStatus.status === 'failed') {
+      return { status: 'reverted', txHash: reward.transactionHash };
+    }
+    return { status: txStatus.status, txHash: reward.transactionHash };
+  }
+
+  // Confirm SUBMITTED rewards on every supported network (background job)
+  async confirmSubmittedRewards(limit = DEFAULTS.REWARD_WORKER_BATCH_SIZE) {
+    const submittedRewards = await TokenReward.findSubmitted(this.getSupportedNetworks()).limit(limit);
+    const results = [];
+
+    for (const reward of submittedRewards) {
+      try {
+        const result = await this.confirmReward(reward);
+        if (result) {
+          results.push(result);
+        }
+      } catch (error) {
+        console.error(`Error confirming reward ${reward._id}:`, error);
+      }
+    }
+
+    return {
+      processed: results.length,
+      confirmed: results.filter(r => r.status === REWARD_STATUS.COMPLETED).length,
+      results
+    };
+  }
+
+  // Mock chain head, advancing one block every MOCK_BLOCK_TIME_SECONDS
+  getMockBlockNumber() {
+    return Math.floor(Date.now() / (DEFAULTS.MOCK_BLOCK_TIME_SECONDS * 1000));
+  }
+
+  getMockConfirmations(blockNumber) {
+    return blockNumber ? Math.max(0, this.getMockBlockNumber() - blockNumber + 1) : 0;
+  }
+
   // Mock token transfer (for development)
   async mockSendToken(walletAddress, amount) {
     // Validate wallet address format
@@ -95,8 +352,8 @@ class BlockchainService {
     // Generate mock transaction hash (64 hex characters after 0x)
     const mockTxHash = '0x' + crypto.randomBytes(32).toString('hex');
     
-    // Generate mock block number
-    const mockBlockNumber = Math.floor(Math.random() * 10000000) + 1000000;
+    // Mined in the current mock block
+    const mockBlockNumber = this.getMockBlockNumber();
 
     return {
       txHash: mockTxHash,
@@ -105,49 +362,41 @@ class BlockchainService {
   }
 
   // Real blockchain token transfer
-  async sendTokenToBlockchain(walletAddress, amount) {
-    // This would integrate with ethers.js or web3.js
-    // For now, throw error if not in MOCK mode
-    if (this.network === BLOCKCHAIN_NETWORK.MOCK) {
+  async sendTokenToBlockchain(walletAddress, amount, {
+    rewardId = null,
+    network = this.network,
+    contractAddress = this.contractAddress
+  } = {}) {
+    if (network === BLOCKCHAIN_NETWORK.MOCK) {
       return this.mockSendToken(walletAddress, amount);
     }
 
-    // TODO: Implement real blockchain integration
-    // Example with ethers.js:
-    // const { ethers } = require('ethers');
-    // const provider = new ethers.providers.JsonRpcProvider(this.rpcUrl);
-    // const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-    // const contract = new ethers.Contract(this.contractAddress, abi, wallet);
-    // const tx = await contract.transfer(walletAddress, ethers.utils.parseUnits(amount.toString(), 18));
-    // const receipt = await tx.wait();
-    // return { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
-
-    throw new Error(`Real blockchain integration not implemented for network: ${this.network}`);
+    return this.getProvider(network).transfer(walletAddress, amount, { contractAddress, rewardId });
   }
 
   // Get transaction status
-  async getTransactionStatus(txHash) {
+  async getTransactionStatus(txHash, network = this.network) {
     if (!txHash) {
       throw new ValidationError('Transaction hash is required');
     }
 
-    if (this.network === BLOCKCHAIN_NETWORK.MOCK) {
-      // For mock, assume all transactions are confirmed
+    if (network === BLOCKCHAIN_NETWORK.MOCK) {
+      // Mock transactions only exist as reward records
+      const reward = await TokenReward.findOne({ transactionHash: txHash.toLowerCase() });
+      if (!reward) {
+        return { status: 'not_found', confirmations: 0 };
+      }
       return {
         status: 'confirmed',
-        confirmations: 1
+        confirmations: this.getMockConfirmations(reward.blockNumber),
+        blockNumber: reward.blockNumber
       };
     }
 
-    // TODO: Query blockchain for transaction status
-    // const provider = new ethers.providers.JsonRpcProvider(this.rpcUrl);
-    // const receipt = await provider.getTransactionReceipt(txHash);
-    // return { status: receipt ? 'confirmed' : 'pending', confirmations: receipt?.confirmations || 0 };
-
-    throw new Error(`Transaction status check not implemented for network: ${this.network}`);
+    return this.getProvider(network).getTransactionStatus(txHash);
   }
 
-  // Retry failed transaction
+  // Retry failed transaction (manual retries skip the backoff delay)
   async retryFailedReward(rewardId) {
     const reward = await TokenReward.findById(rewardId);
     
@@ -159,82 +408,84 @@ class BlockchainService {
       throw new ValidationError('Reward cannot be retried');
     }
 
-    // Reset to pending
-    await reward.retry();
-
-    // Get user
-    const user = await User.findById(reward.userId);
-    if (!user) {
-      throw new NotFoundError('User');
+    // Claim the reward so the background worker cannot send it concurrently
+    const claimedReward = await TokenReward.claimForDelivery(reward._id, { ignoreBackoff: true });
+    if (!claimedReward) {
+      throw new ConflictError('Reward is already being processed');
     }
 
-    try {
-      let txHash = null;
-      let blockNumber = null;
-
-      if (this.network === BLOCKCHAIN_NETWORK.MOCK) {
-        const result = await this.mockSendToken(user.walletAddress, reward.tokenAmount);
-        txHash = result.txHash;
-        blockNumber = result.blockNumber;
-      } else {
-        const result = await this.sendTokenToBlockchain(user.walletAddress, reward.tokenAmount);
-        txHash = result.txHash;
-        blockNumber = result.blockNumber;
-      }
+    const result = await this.deliverReward(claimedReward);
 
-      await reward.markCompleted(txHash, blockNumber);
-      await user.addTokensEarned(reward.tokenAmount);
+    return {
+      rewardId: result.rewardId,
+      transactionHash: result.transactionHash,
+      status: result.status
+    };
+  }
 
-      return {
-        rewardId: reward._id,
-        transactionHash: txHash,
-        status: REWARD_STATUS.COMPLETED
-      };
-    } catch (error) {
-      await reward.markFailed(error.message || 'Retry failed');
-      throw error;
+  // Retry every failed reward that still has retries left
+  async retryFailedRewards() {
+    const retryableRewards = await TokenReward.find({
+      status: REWARD_STATUS.FAILED,
+      retryCount: { $lt: DEFAULTS.MAX_RETRY_COUNT }
+    });
+    const results = [];
+
+    for (const reward of retryableRewards) {
+      try {
+        const result = await this.retryFailedReward(reward._id);
+        results.push(result);
+      } catch (error) {
+        console.error(`Error retrying reward ${reward._id}:`, error);
+        results.push({
+          rewardId: reward._id,
+          status: REWARD_STATUS.FAILED,
+          error: error.message
+        });
+      }
     }
+
+    return {
+      processed: results.length,
+      success: results.filter(r => r.status === REWARD_STATUS.SUBMITTED).length,
+      results
+    };
   }
 
-  // Process pending rewards (background job)
-  async processPendingRewards() {
-    const pendingRewards = await TokenReward.findPending();
-    
-    for (const reward of pendingRewards) {
-      try {
-        const user = await User.findById(reward.userId);
-        if (!user || !user.walletAddress) {
-          await reward.markFailed('User or wallet address not found');
-          continue;
-        }
+  // Process rewards that are due for delivery (background job)
+  async processPendingRewards(limit = DEFAULTS.REWARD_WORKER_BATCH_SIZE) {
+    const dueRewards = await TokenReward.findRetryable().limit(limit);
+    const results = [];
 
-        let txHash = null;
-        let blockNumber = null;
-
-        if (this.network === BLOCKCHAIN_NETWORK.MOCK) {
-          const result = await this.mockSendToken(user.walletAddress, reward.tokenAmount);
-          txHash = result.txHash;
-          blockNumber = result.blockNumber;
-        } else {
-          const result = await this.sendTokenToBlockchain(user.walletAddress, reward.tokenAmount);
-          txHash = result.txHash;
-          blockNumber = result.blockNumber;
-        }
+    for (const reward of dueRewards) {
+      // Another worker may have claimed it since the query ran
+      const claimedReward = await TokenReward.claimForDelivery(reward._id);
+      if (!claimedReward) {
+        continue;
+      }
 
-        await reward.markCompleted(txHash, blockNumber);
-        await user.addTokensEarned(reward.tokenAmount);
+      try {
+        results.push(await this.deliverReward(claimedReward));
       } catch (error) {
         console.error(`Error processing reward ${reward._id}:`, error);
-        await reward.markFailed(error.message || 'Processing failed');
+        results.push({
+          rewardId: claimedReward._id,
+          sessionId: claimedReward.sessionId,
+          userId: claimedReward.userId,
+          status: claimedReward.status,
+          retryCount: claimedReward.retryCount,
+          nextAttemptAt: claimedReward.nextAttemptAt,
+          error: error.message
+        });
       }
     }
 
     return {
-      processed: pendingRewards.length,
-      success: pendingRewards.filter(r => r.status === REWARD_STATUS.COMPLETED).length
+      processed: results.length,
+      success: results.filter(r => r.status === REWARD_STATUS.SUBMITTED).length,
+      results
     };
   }
 }
 
 module.exports = new BlockchainService();
-
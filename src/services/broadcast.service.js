@@ -5,6 +5,21 @@ class BroadcastService {
     this.io = io;
   }
 
+  // Room every socket authenticated with a given auth session joins
+  static authSessionRoom(authSessionId) {
+    return `auth:${authSessionId}`;
+  }
+
+  // Room every socket belonging to a given user joins
+  static userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  // Room a session's spectators join (alongside the session room itself)
+  static spectatorRoom(sessionId) {
+    return `spectators:${sessionId}`;
+  }
+
   // Broadcast to all players in a session
   broadcastToSession(sessionId, event, data) {
     this.io.to(sessionId).emit(event, {
@@ -39,13 +54,39 @@ class BroadcastService {
     });
   }
 
-  // Notify score update
-  notifyScoreUpdate(sessionId, userId, scoreData, leaderboard) {
+  // Notify a player was kicked or banned, then pull all of their sockets out of the room
+  notifyPlayerKicked(sessionId, user, { banned, reason, playerCount }) {
+    const userId = (user._id || user).toString();
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.PLAYER_KICKED, {
+      userId,
+      username: user.username,
+      banned,
+      reason,
+      playerCount
+    });
+    this.io.in(BroadcastService.userRoom(userId)).socketsLeave([sessionId, BroadcastService.spectatorRoom(sessionId)]);
+  }
+
+  // Notify score update (teamLeaderboard only in team sessions)
+  notifyScoreUpdate(sessionId, userId, scoreData, leaderboard, teamLeaderboard = null) {
     this.broadcastToSession(sessionId, SOCKET_EVENTS.SCORE_UPDATED, {
       userId,
       score: scoreData.score,
       tasksCompleted: scoreData.tasksCompleted,
-      leaderboard
+      event: scoreData.event,
+      leaderboard,
+      ...(teamLeaderboard && { team: scoreData.team, teamLeaderboard })
+    });
+  }
+
+  // Notify a player was moved to a team
+  notifyTeamChanged(sessionId, { userId, username, team, teamName }) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.TEAM_CHANGED, {
+      sessionId,
+      userId,
+      username,
+      team,
+      teamName
     });
   }
 
@@ -55,21 +96,124 @@ class BroadcastService {
       sessionId,
       startTime: sessionData.startTime,
       duration: sessionData.durationMinutes,
-      scheduledEndTime: sessionData.scheduledEndTime
+      scheduledEndTime: sessionData.scheduledEndTime,
+      serverTime: Date.now()
+    });
+  }
+
+  // Notify a ready check started; every player must confirm before expiresAt
+  notifyReadyCheckStarted(sessionId, readyCheck) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.READY_CHECK_STARTED, {
+      sessionId,
+      startedAt: readyCheck.startedAt,
+      expiresAt: readyCheck.expiresAt,
+      serverTime: Date.now()
+    });
+  }
+
+  // Notify a player confirmed the ready check
+  notifyPlayerReady(sessionId, userId, readyCount, playerCount) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.PLAYER_READY, {
+      sessionId,
+      userId,
+      readyCount,
+      playerCount
+    });
+  }
+
+  // Notify a ready check ran out without enough ready players
+  notifyReadyCheckFailed(sessionId, removedUserIds, playerCount) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.READY_CHECK_FAILED, {
+      sessionId,
+      removedUserIds,
+      playerCount
     });
   }
 
   // Notify session ended
-  notifySessionEnded(sessionId, sessionData, winner, leaderboard) {
+  notifySessionEnded(sessionId, sessionData, winner, leaderboard, { winningTeam = null, teamLeaderboard = null } = {}) {
     this.broadcastToSession(sessionId, SOCKET_EVENTS.SESSION_ENDED, {
       sessionId,
       winner: winner ? {
-        userId: winner._id || winner,
+        userId: winner.userId || winner._id || winner,
         username: winner.username
       } : null,
       leaderboard,
+      ...(teamLeaderboard && { winningTeam, teamLeaderboard }),
+      endTime: sessionData.endTime
+    });
+  }
+
+  // Notify session cancelled and empty its room (cancelled sessions have no results)
+  notifySessionCancelled(sessionId, sessionData) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.SESSION_CANCELLED, {
+      sessionId,
+      reason: sessionData.cancelReason,
       endTime: sessionData.endTime
     });
+    this.io.in(sessionId).socketsLeave([sessionId, BroadcastService.spectatorRoom(sessionId)]);
+  }
+
+  // Notify session paused
+  notifySessionPaused(sessionId, sessionData) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.SESSION_PAUSED, {
+      sessionId,
+      pausedAt: sessionData.pausedAt,
+      remainingTime: sessionData.remainingTime
+    });
+  }
+
+  // Notify session resumed
+  notifySessionResumed(sessionId, sessionData) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.SESSION_RESUMED, {
+      sessionId,
+      scheduledEndTime: sessionData.scheduledEndTime,
+      remainingTime: sessionData.remainingTime,
+      serverTime: Date.now()
+    });
+  }
+
+  // Notify session extended
+  notifySessionExtended(sessionId, sessionData, minutes) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.SESSION_EXTENDED, {
+      sessionId,
+      minutes,
+      status: sessionData.status,
+      scheduledEndTime: sessionData.scheduledEndTime,
+      remainingTime: sessionData.remainingTime,
+      serverTime: Date.now()
+    });
+  }
+
+  // Countdown tick for a live session
+  notifyTimeRemaining(sessionId, scheduledEndTime) {
+    const now = Date.now();
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.TIME_REMAINING, {
+      sessionId,
+      remainingMs: Math.max(0, new Date(scheduledEndTime).getTime() - now),
+      scheduledEndTime,
+      serverTime: now
+    });
+  }
+
+  // Warn players the session ends soon
+  notifyTimeWarning(sessionId, secondsRemaining, scheduledEndTime) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.TIME_WARNING, {
+      sessionId,
+      secondsRemaining,
+      scheduledEndTime,
+      serverTime: Date.now()
+    });
+  }
+
+  // Send the server clock to a socket. Echoing the client's send time lets it
+  // estimate the round trip and its clock offset.
+  sendServerTime(socket, clientTime = null) {
+    socket.emit(SOCKET_EVENTS.SERVER_TIME, {
+      serverTime: Date.now(),
+      clientTime,
+      timestamp: new Date().toISOString()
+    });
   }
 
   // Notify token reward
@@ -78,8 +222,10 @@ class BroadcastService {
       sessionId,
       userId,
       tokenAmount: rewardData.tokenAmount,
+      rank: rewardData.rank || 1,
       transactionHash: rewardData.transactionHash,
-      status: rewardData.status
+      status: rewardData.status,
+      confirmations: rewardData.confirmations || 0
     });
   }
 
@@ -92,6 +238,49 @@ class BroadcastService {
     });
   }
 
+  // Disconnect all sockets opened with a revoked auth session
+  disconnectAuthSession(authSessionId, reason) {
+    this.disconnectRoom(BroadcastService.authSessionRoom(authSessionId), reason);
+  }
+
+  // Disconnect all sockets belonging to a user
+  disconnectUser(userId, reason) {
+    this.disconnectRoom(BroadcastService.userRoom(userId), reason);
+  }
+
+  // Notify and force-disconnect every socket in a room
+  disconnectRoom(room, reason) {
+    this.io.to(room).emit(SOCKET_EVENTS.AUTH_REVOKED, {
+      message: reason,
+      timestamp: new Date().toISOString()
+    });
+    this.io.in(room).disconnectSockets(true);
+  }
+
+  // Check whether any socket on this server is in a session's room
+  hasSessionRoom(sessionId) {
+    return this.io.sockets.adapter.rooms.has(sessionId);
+  }
+
+  // Users spectating a session (across all instances)
+  async getSpectatorIds(sessionId) {
+    const sockets = await this.io.in(BroadcastService.spectatorRoom(sessionId)).fetchSockets();
+    return new Set(sockets.map(socket => socket.data.userId));
+  }
+
+  // Number of distinct users spectating a session
+  async getSpectatorCount(sessionId) {
+    return (await this.getSpectatorIds(sessionId)).size;
+  }
+
+  // Broadcast the current spectator count to the session
+  async notifySpectatorCount(sessionId) {
+    this.broadcastToSession(sessionId, SOCKET_EVENTS.SPECTATOR_COUNT, {
+      sessionId,
+      spectatorCount: await this.getSpectatorCount(sessionId)
+    });
+  }
+
   // Get connected players in a session
   getSessionPlayers(sessionId) {
     const room = this.io.sockets.adapter.rooms.get(sessionId);
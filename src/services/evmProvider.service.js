@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+const TransactionQueue = require('./txQueue.service');
+
+// Minimal ERC-20 interface needed to pay out rewards
+const ERC20_ABI = [
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)'
+];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Normalize an address for ethers (addresses are stored uppercased, e.g. "0XABC...")
+const toChecksumAddress = (address) => ethers.getAddress(address.toLowerCase());
+
+class EvmProvider {
+  // tokenDecimals maps contract addresses to their configured decimals; contracts
+  // not listed use whatever decimals() reports
+  constructor({ network, chainId, rpcUrl, privateKey, tokenDecimals = {}, txWaitTimeoutMs, queueOptions = {} }) {
+    this.network = network;
+    this.chainId = chainId;
+    this.rpcUrl = rpcUrl;
+    this.privateKey = privateKey;
+    this.tokenDecimals = tokenDecimals;
+    this.txWaitTimeoutMs = txWaitTimeoutMs;
+    this.queueOptions = queueOptions;
+
+    this.provider = null;
+    this.wallet = null;
+    this.txQueue = null;
+    this.chainVerified = false;
+    // Contract instance and verified decimals per token address (uppercased)
+    this.contracts = new Map();
+  }
+
+  // Lazily connect so a misconfigured network only fails when rewards are sent
+  connect() {
+    if (this.provider) {
+      return;
+    }
+
+    if (!this.rpcUrl) {
+      throw new Error(`An RPC URL is required for network: ${this.network}`);
+    }
+    if (!this.privateKey) {
+      throw new Error(`PRIVATE_KEY is required for network: ${this.network}`);
+    }
+
+    // staticNetwork pins the chain ID so ethers never signs for the wrong chain
+    const network = ethers.Network.from(this.chainId);
+    this.provider = new ethers.JsonRpcProvider(this.rpcUrl, network, { staticNetwork: network });
+    this.wallet = new ethers.Wallet(this.privateKey, this.provider);
+
+    // All sends from this wallet on this network go through one queue (whatever
+    // the token) so nonces never collide
+    this.txQueue = new TransactionQueue({
+      network: this.network,
+      chainId: this.chainId,
+      provider: this.provider,
+      wallet: this.wallet,
+      waitTimeoutMs: this.txWaitTimeoutMs,
+      ...this.queueOptions
+    });
+  }
+
+  // Get (and lazily create) the contract for a token address
+  getContract(contractAddress) {
+    this.connect();
+
+    if (!contractAddress || contractAddress.toLowerCase() === ZERO_ADDRESS) {
+      throw new Error(`A token contract address is required for network: ${this.network}`);
+    }
+
+    const key = contractAddress.toUpperCase();
+    if (!this.contracts.has(key)) {
+      this.contracts.set(key, {
+        contract: new ethers.Contract(toChecksumAddress(contractAddress), ERC20_ABI, this.wallet),
+        decimals: null
+      });
+    }
+    return this.contracts.get(key);
+  }
+
+  // Check the node is on the expected chain and the token decimals match configuration
+  async verify(contractAddress) {
+    const entry = this.getContract(contractAddress);
+
+    if (!this.chainVerified) {
+      const remoteChainId = await this.provider.send('eth_chainId', []);
+      if (BigInt(remoteChainId) !== BigInt(this.chainId)) {
+        throw new Error(
+          `RPC node is on chain ${BigInt(remoteChainId)}, expected ${this.chainId} for network ${this.network}`
+        );
+      }
+      this.chainVerified = true;
+    }
+
+    if (entry.decimals !== null) {
+      return entry.decimals;
+    }
+
+    const contractDecimals = Number(await entry.contract.decimals());
+    const configuredDecimals = this.tokenDecimals[contractAddress.toUpperCase()];
+    if (configuredDecimals !== undefined && configuredDecimals !== contractDecimals) {
+      throw new Error(
+        `Token decimals mismatch: configured ${configuredDecimals}, contract reports ${contractDecimals}`
+      );
+    }
+
+    entry.decimals = contractDecimals;
+    return entry.decimals;
+  }
+
+  // Convert a human token amount (e.g. 12.5) to base units
+  toBaseUnits(amount, decimals) {
+    const value = Number(amount).toLocaleString('en-US', {
+      useGrouping: false,
+      maximumFractionDigits: decimals
+    });
+    return ethers.parseUnits(value, decimals);
+  }
+
+  // Sign and send an ERC-20 transfer through the wallet's queue, waiting for it to be mined
+  async transfer(walletAddress, amount, { contractAddress, rewardId = null }) {
+    const decimals = await this.verify(contractAddress);
+    const { contract } = this.getContract(contractAddress);
+
+    const data = contract.interface.encodeFunctionData('transfer', [
+      toChecksumAddress(walletAddress),
+      this.toBaseUnits(amount, decimals)
+    ]);
+
+    return this.txQueue.sendAndWait({
+      to: await contract.getAddress(),
+      data,
+      rewardId
+    });
+  }
+
+  // Look up a transaction's status and confirmation count
+  async getTransactionStatus(txHash) {
+    this.connect();
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      const tx = await this.provider.getTransaction(txHash);
+      return {
+        status: tx ? 'pending' : 'not_found',
+        confirmations: 0
+      };
+    }
+
+    const headBlock = await this.txQueue.getHeadBlock();
+    return {
+      status: receipt.status === 1 ? 'confirmed' : 'failed',
+      confirmations: Math.max(0, headBlock - receipt.blockNumber + 1),
+      blockNumber: receipt.blockNumber
+    };
+  }
+
+  // Confirmation status of the transfer sent for a reward
+  async getTransferConfirmations(rewardId) {
+    this.connect();
+    return this.txQueue.getConfirmations(rewardId);
+  }
+}
+
+module.exports = EvmProvider;
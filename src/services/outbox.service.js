@@ -0,0 +1,108 @@
+const OutboxEvent = require('../models/OutboxEvent');
+const blockchainService = require('./blockchain.service');
+const { OUTBOX_EVENT_TYPE, REWARD_STATUS, DEFAULTS } = require('../utils/constants');
+
+class OutboxService {
+  constructor() {
+    this.lockMs = DEFAULTS.OUTBOX_LOCK_SECONDS * 1000;
+    this.retryDelayMs = DEFAULTS.OUTBOX_RETRY_DELAY_SECONDS * 1000;
+  }
+
+  // Record side effects in the same transaction as the state change that causes them
+  async enqueue(events, dbSession = null) {
+    return OutboxEvent.create(
+      events.map(({ type, payload }) => ({ type, payload })),
+      { session: dbSession, ordered: true }
+    );
+  }
+
+  // Process specific events right after their transaction commits. Events that
+  // cannot be processed now stay in the outbox for the outbox worker.
+  async processEvents(eventIds, broadcastService = null) {
+    const results = [];
+
+    for (const eventId of eventIds) {
+      const event = await OutboxEvent.claim(eventId, this.lockMs);
+      if (event) {
+        results.push(await this.runEvent(event, broadcastService));
+      }
+    }
+
+    return results;
+  }
+
+  // Process every due event, including ones left behind by a crash (background job)
+  async processDueEvents(broadcastService = null, limit = DEFAULTS.REWARD_WORKER_BATCH_SIZE) {
+    const dueEvents = await OutboxEvent.findDue().limit(limit);
+    return this.processEvents(dueEvents.map(event => event._id), broadcastService);
+  }
+
+  // Run a claimed event's handler and record the outcome
+  async runEvent(event, broadcastService) {
+    try {
+      const result = await this.handleEvent(event, broadcastService);
+      await event.markDone();
+      return { eventId: event._id, type: event.type, status: 'DONE', result };
+    } catch (error) {
+      console.error(`Error processing outbox event ${event._id} (${event.type}):`, error);
+      await event.markFailed(error.message, DEFAULTS.OUTBOX_MAX_ATTEMPTS, this.retryDelayMs);
+      return { eventId: event._id, type: event.type, status: event.status, error: error.message };
+    }
+  }
+
+  async handleEvent(event, broadcastService) {
+    const { payload } = event;
+
+    switch (event.type) {
+      case OUTBOX_EVENT_TYPE.SESSION_ENDED:
+        if (broadcastService) {
+          broadcastService.notifySessionEnded(
+            payload.sessionId,
+            { endTime: payload.endTime },
+            payload.winner,
+            payload.leaderboard,
+            { winningTeam: payload.winningTeam, teamLeaderboard: payload.teamLeaderboard }
+          );
+        }
+        return null;
+
+      case OUTBOX_EVENT_TYPE.DELIVER_REWARD:
+        return this.deliverReward(payload, broadcastService);
+
+      default:
+        throw new Error(`Unknown outbox event type: ${event.type}`);
+    }
+  }
+
+  // Send a reward created when its session ended. Delivery failures are not outbox
+  // failures: the reward is marked FAILED and the reward worker owns the retries.
+  async deliverReward(payload, broadcastService) {
+    let result;
+    try {
+      result = await blockchainService.deliverNewReward(payload.rewardId);
+    } catch (error) {
+      return {
+        rewardId: payload.rewardId,
+        userId: payload.userId,
+        rank: payload.rank,
+        tokenAmount: payload.tokenAmount,
+        status: REWARD_STATUS.FAILED,
+        error: error.message,
+        retryScheduled: true
+      };
+    }
+
+    // Already claimed elsewhere (e.g. by the reward worker after a crash)
+    if (!result) {
+      return null;
+    }
+
+    if (broadcastService) {
+      broadcastService.notifyTokenRewarded(payload.sessionId, result.userId, result);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new OutboxService();
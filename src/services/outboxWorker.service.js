@@ -0,0 +1,68 @@
+const outboxService = require('./outbox.service');
+const BroadcastService = require('./broadcast.service');
+const { DEFAULTS } = require('../utils/constants');
+
+class OutboxWorkerService {
+  constructor(io) {
+    this.io = io;
+    this.intervalId = null;
+    this.isProcessing = false;
+    this.broadcastService = io ? new BroadcastService(io) : null;
+    this.intervalMs = (parseInt(process.env.OUTBOX_WORKER_INTERVAL_SECONDS) ||
+      DEFAULTS.OUTBOX_WORKER_INTERVAL_SECONDS) * 1000;
+  }
+
+  // Start outbox worker (replays events left over from before a restart right away)
+  start() {
+    if (this.intervalId) {
+      console.log('Outbox worker already running');
+      return;
+    }
+
+    console.log('Starting outbox worker...');
+
+    this.processEvents();
+    this.intervalId = setInterval(async () => {
+      await this.processEvents();
+    }, this.intervalMs);
+  }
+
+  // Dispatch due outbox events
+  async processEvents() {
+    // Skip the tick if the previous batch is still running
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const results = await outboxService.processDueEvents(this.broadcastService);
+
+      if (results.length > 0) {
+        const done = results.filter(r => r.status === 'DONE').length;
+        console.log(`Outbox worker processed ${results.length} event(s), ${done} done`);
+      }
+
+      for (const result of results) {
+        if (result.status === 'FAILED') {
+          console.error(`Outbox event ${result.eventId} (${result.type}) gave up: ${result.error}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error in outbox worker:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Stop outbox worker
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log('Outbox worker stopped');
+    }
+  }
+}
+
+module.exports = OutboxWorkerService;
@@ -0,0 +1,128 @@
+const TokenReward = require('../models/TokenReward');
+const GameSession = require('../models/GameSession');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { DEFAULTS } = require('../utils/constants');
+const mongoose = require('mongoose');
+
+class RewardService {
+  // List rewards with filters and pagination
+  async listRewards({ status, network, sessionId, userId, page = 1, limit = DEFAULTS.PAGE_SIZE } = {}) {
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+    if (network) {
+      query.network = network;
+    }
+    if (userId) {
+      query.userId = userId;
+    }
+    if (sessionId) {
+      // Accept either the public session UUID or the Mongo _id
+      let session = await GameSession.findOne({ sessionId });
+      if (!session && mongoose.Types.ObjectId.isValid(sessionId)) {
+        session = await GameSession.findById(sessionId);
+      }
+      if (!session) {
+        throw new NotFoundError('Session');
+      }
+      query.sessionId = session._id;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(DEFAULTS.MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULTS.PAGE_SIZE));
+
+    const [rewards, total] = await Promise.all([
+      TokenReward.find(query)
+        .populate('userId', 'username walletAddress')
+        .populate('sessionId', 'sessionId status')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      TokenReward.countDocuments(query)
+    ]);
+
+    return {
+      rewards: rewards.map(reward => this.formatRewardData(reward)),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // Get a single reward with its attempt history
+  async getReward(rewardId) {
+    const reward = await TokenReward.findById(rewardId)
+      .populate('userId', 'username walletAddress')
+      .populate('sessionId', 'sessionId status')
+      .populate('resolution.resolvedBy', 'username');
+
+    if (!reward) {
+      throw new NotFoundError('Token reward');
+    }
+
+    return this.formatRewardData(reward, true);
+  }
+
+  // Manually close a reward with a reason
+  async resolveReward(rewardId, adminId, reason) {
+    const reward = await TokenReward.findById(rewardId);
+
+    if (!reward) {
+      throw new NotFoundError('Token reward');
+    }
+
+    try {
+      await reward.resolve(adminId, reason);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    return this.getReward(reward._id);
+  }
+
+  // Format reward data for admin responses
+  formatRewardData(reward, includeHistory = false) {
+    const rewardObj = reward.toObject ? reward.toObject() : reward;
+    const user = rewardObj.userId;
+    const session = rewardObj.sessionId;
+
+    return {
+      _id: rewardObj._id,
+      session: session ? {
+        _id: session._id || session,
+        sessionId: session.sessionId,
+        status: session.status
+      } : null,
+      user: user ? {
+        _id: user._id || user,
+        username: user.username,
+        walletAddress: user.walletAddress
+      } : null,
+      tokenAmount: rewardObj.tokenAmount,
+      rank: rewardObj.rank,
+      network: rewardObj.network,
+      contractAddress: rewardObj.contractAddress,
+      status: rewardObj.status,
+      transactionHash: rewardObj.transactionHash,
+      blockNumber: rewardObj.blockNumber,
+      confirmations: rewardObj.confirmations,
+      errorMessage: rewardObj.errorMessage,
+      retryCount: rewardObj.retryCount,
+      canRetry: reward.canRetry ? reward.canRetry() : undefined,
+      resolution: rewardObj.resolution && rewardObj.resolution.resolvedAt ? rewardObj.resolution : null,
+      ...(includeHistory && { attempts: rewardObj.attempts || [] }),
+      submittedAt: rewardObj.submittedAt,
+      rewardedAt: rewardObj.rewardedAt,
+      confirmedAt: rewardObj.confirmedAt,
+      createdAt: rewardObj.createdAt,
+      updatedAt: rewardObj.updatedAt
+    };
+  }
+}
+
+module.exports = new RewardService();
@@ -0,0 +1,125 @@
+const GameSession = require('../models/GameSession');
+const blockchainService = require('./blockchain.service');
+const BroadcastService = require('./broadcast.service');
+const { REWARD_STATUS, DEFAULTS } = require('../utils/constants');
+
+class RewardWorkerService {
+  constructor(io) {
+    this.io = io;
+    this.intervalId = null;
+    this.confirmIntervalId = null;
+    this.isProcessing = false;
+    this.isConfirming = false;
+    this.broadcastService = io ? new BroadcastService(io) : null;
+    this.intervalMs = (parseInt(process.env.REWARD_WORKER_INTERVAL_SECONDS) ||
+      DEFAULTS.REWARD_WORKER_INTERVAL_SECONDS) * 1000;
+    this.confirmIntervalMs = (parseInt(process.env.REWARD_CONFIRMATION_INTERVAL_SECONDS) ||
+      DEFAULTS.REWARD_CONFIRMATION_INTERVAL_SECONDS) * 1000;
+  }
+
+  // Start reward worker
+  start() {
+    if (this.intervalId) {
+      console.log('Reward worker already running');
+      return;
+    }
+
+    console.log('Starting reward worker...');
+
+    this.intervalId = setInterval(async () => {
+      await this.processRewards();
+    }, this.intervalMs);
+
+    this.confirmIntervalId = setInterval(async () => {
+      await this.confirmRewards();
+    }, this.confirmIntervalMs);
+  }
+
+  // Deliver PENDING and FAILED rewards that are due
+  async processRewards() {
+    // Skip the tick if the previous batch is still sending
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const { processed, success, results } = await blockchainService.processPendingRewards();
+
+      if (processed === 0) {
+        return;
+      }
+
+      console.log(`Reward worker processed ${processed} reward(s), ${success} delivered`);
+
+      for (const result of results) {
+        if (result.status === REWARD_STATUS.SUBMITTED) {
+          await this.notifyRewarded(result);
+        } else if (!result.nextAttemptAt) {
+          console.error(`Reward ${result.rewardId} exhausted its retries: ${result.error}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error in reward worker:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Track SUBMITTED rewards until they reach the confirmation depth
+  async confirmRewards() {
+    if (this.isConfirming) {
+      return;
+    }
+
+    this.isConfirming = true;
+    try {
+      const { processed, confirmed, results } = await blockchainService.confirmSubmittedRewards();
+
+      if (confirmed > 0) {
+        console.log(`Reward worker confirmed ${confirmed} of ${processed} submitted reward(s)`);
+      }
+
+      for (const result of results) {
+        if (result.status === REWARD_STATUS.COMPLETED) {
+          await this.notifyRewarded(result);
+        } else if (result.status === REWARD_STATUS.FAILED) {
+          console.error(`Reward ${result.rewardId} failed before confirmation: ${result.error}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error confirming rewards:', error);
+    } finally {
+      this.isConfirming = false;
+    }
+  }
+
+  // Broadcast token_rewarded to the session room when a reward is submitted or completed
+  async notifyRewarded(result) {
+    if (!this.broadcastService) {
+      return;
+    }
+
+    try {
+      const session = await GameSession.findById(result.sessionId).select('sessionId');
+      if (session) {
+        this.broadcastService.notifyTokenRewarded(session.sessionId, result.userId, result);
+      }
+    } catch (error) {
+      console.error(`Error broadcasting reward ${result.rewardId}:`, error);
+    }
+  }
+
+  // Stop reward worker
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      clearInterval(this.confirmIntervalId);
+      this.intervalId = null;
+      this.confirmIntervalId = null;
+      console.log('Reward worker stopped');
+    }
+  }
+}
+
+module.exports = RewardWorkerService;
@@ -1,24 +1,25 @@
 const GameSession = require('../models/GameSession');
 const PlayerSession = require('../models/PlayerSession');
 const { NotFoundError, ValidationError } = require('../utils/errors');
-const { SCORING_TYPE, SESSION_STATUS } = require('../utils/constants');
+const { SCORING_TYPE, SESSION_STATUS, DEFAULTS } = require('../utils/constants');
 const mongoose = require('mongoose');
 
 class ScoringService {
   // Helper method to find session by sessionId or _id
-  async findSessionById(sessionIdOrId) {
-    let session = await GameSession.findOne({ sessionId: sessionIdOrId });
+  // (dbSession runs the query inside a MongoDB transaction)
+  async findSessionById(sessionIdOrId, dbSession = null) {
+    let session = await GameSession.findOne({ sessionId: sessionIdOrId }).session(dbSession);
     
     if (!session && mongoose.Types.ObjectId.isValid(sessionIdOrId)) {
-      session = await GameSession.findById(sessionIdOrId);
+      session = await GameSession.findById(sessionIdOrId).session(dbSession);
     }
     
     return session;
   }
 
   // Calculate winner based on session config
-  async calculateWinner(sessionId) {
-    const session = await this.findSessionById(sessionId);
+  async calculateWinner(sessionId, dbSession = null) {
+    const session = await this.findSessionById(sessionId, dbSession);
     
     if (!session) {
       throw new NotFoundError('Session');
@@ -30,7 +31,7 @@ class ScoringService {
     }
 
     // Get all active players
-    const players = await PlayerSession.findBySession(session._id, true);
+    const players = await PlayerSession.findBySession(session._id, true).session(dbSession);
     
     if (!players || players.length === 0) {
       return null; // No players, no winner
@@ -42,24 +43,32 @@ class ScoringService {
     // Calculate winner based on scoring type
     switch (scoringType) {
       case SCORING_TYPE.POINTS:
-        winner = await this.calculateWinnerByPoints(session._id);
+        winner = await this.calculateWinnerByPoints(session._id, dbSession);
         break;
       case SCORING_TYPE.TASKS:
-        winner = await this.calculateWinnerByTasks(session._id);
+        winner = await this.calculateWinnerByTasks(session._id, dbSession);
         break;
       case SCORING_TYPE.RANDOM:
-        winner = await this.calculateWinnerRandom(session._id);
+        winner = await this.calculateWinnerRandom(session._id, dbSession);
         break;
       case SCORING_TYPE.COMBINED:
-        winner = await this.calculateWinnerCombined(session._id, session.config);
+        winner = await this.calculateWinnerCombined(session._id, session.config, dbSession);
         break;
       default:
-        winner = await this.calculateWinnerByPoints(session._id);
+        winner = await this.calculateWinnerByPoints(session._id, dbSession);
     }
 
     // If enableRandomWinner is true, override with random selection
     if (session.config?.enableRandomWinner) {
-      winner = await this.calculateWinnerRandom(session._id);
+      winner = await this.calculateWinnerRandom(session._id, dbSession);
+    }
+
+    // Team sessions are won by a team; the session winner is its top member
+    let winningTeam = null;
+    if (session.isTeamSession()) {
+      winningTeam = await this.calculateWinningTeam(session, dbSession);
+      winner = winningTeam ? await this.findTopTeamMember(session, winningTeam.team, dbSession) : null;
+      session.winningTeam = winningTeam ? winningTeam.team : null;
     }
 
     // Update session with winner
@@ -70,11 +79,13 @@ class ScoringService {
       }
       
       session.winner = winner.userId._id || winner.userId;
+    }
+    if (winner || winningTeam) {
       await session.save();
     }
 
     // Calculate and save final ranks
-    await this.calculateFinalRanks(session._id);
+    await this.calculateFinalRanks(session._id, dbSession);
 
     if (!winner) {
       return null;
@@ -90,16 +101,93 @@ class ScoringService {
       username: winner.userId.username,
       walletAddress: winner.userId.walletAddress,
       score: winner.score,
-      tasksCompleted: winner.tasksCompleted
+      tasksCompleted: winner.tasksCompleted,
+      team: winningTeam
     };
   }
 
+  // Team leaderboard: active members' scores summed per team (unassigned players are
+  // left out), ordered like individual players for the session's scoring type
+  async getTeamLeaderboard(session, dbSession = null) {
+    const pointsPerTask = session.config?.pointsPerTask || DEFAULTS.POINTS_PER_TASK;
+    const totals = new Map((await PlayerSession.getTeamTotals(session._id, dbSession))
+      .map(total => [total._id, total]));
+
+    const teams = [];
+    for (let team = 1; team <= session.config.teams.count; team++) {
+      const total = totals.get(team) || { score: 0, tasksCompleted: 0, memberCount: 0 };
+      teams.push({
+        team,
+        name: session.getTeamName(team),
+        score: total.score,
+        tasksCompleted: total.tasksCompleted,
+        weightedScore: total.score + total.tasksCompleted * pointsPerTask,
+        memberCount: total.memberCount
+      });
+    }
+
+    const sortKeys = {
+      [SCORING_TYPE.TASKS]: ['tasksCompleted', 'score'],
+      [SCORING_TYPE.COMBINED]: ['weightedScore', 'score', 'tasksCompleted']
+    }[session.config?.scoringType] || ['score', 'tasksCompleted'];
+
+    teams.sort((a, b) => {
+      for (const key of sortKeys) {
+        if (b[key] !== a[key]) {
+          return b[key] - a[key];
+        }
+      }
+      return a.team - b.team;
+    });
+
+    return teams.map((team, index) => ({ rank: index + 1, ...team }));
+  }
+
+  // Pick the winning team among teams with active members (random for RANDOM scoring
+  // or enableRandomWinner, top of the team leaderboard otherwise)
+  async calculateWinningTeam(session, dbSession = null) {
+    const teams = (await this.getTeamLeaderboard(session, dbSession))
+      .filter(team => team.memberCount > 0);
+
+    if (teams.length === 0) {
+      return null;
+    }
+
+    if (session.config?.scoringType === SCORING_TYPE.RANDOM || session.config?.enableRandomWinner) {
+      return teams[Math.floor(Math.random() * teams.length)];
+    }
+
+    return teams[0];
+  }
+
+  // Best-placed active member of a team
+  async findTopTeamMember(session, team, dbSession = null) {
+    const sort = session.config?.scoringType === SCORING_TYPE.TASKS
+      ? { tasksCompleted: -1, score: -1, joinedAt: 1 }
+      : { score: -1, tasksCompleted: -1, joinedAt: 1 };
+
+    const players = await PlayerSession.find({
+      sessionId: session._id,
+      isActive: true,
+      disqualifiedAt: null,
+      team
+    })
+      .session(dbSession)
+      .populate('userId', 'username walletAddress')
+      .sort(sort)
+      .limit(1);
+
+    return players.length > 0 ? players[0] : null;
+  }
+
   // Calculate winner by points
-  async calculateWinnerByPoints(sessionId) {
+  async calculateWinnerByPoints(sessionId, dbSession = null) {
     const players = await PlayerSession.find({
       sessionId,
-      isActive: true
+      isActive: true,
+      disqualifiedAt: null
     })
+      .session(dbSession)
       .populate('userId', 'username walletAddress')
       .sort({ score: -1, tasksCompleted: -1, joinedAt: 1 })
       .limit(1);
@@ -108,11 +196,13 @@ class ScoringService {
   }
 
   // Calculate winner by tasks
-  async calculateWinnerByTasks(sessionId) {
+  async calculateWinnerByTasks(sessionId, dbSession = null) {
     const players = await PlayerSession.find({
       sessionId,
-      isActive: true
+      isActive: true,
+      disqualifiedAt: null
     })
+      .session(dbSession)
       .populate('userId', 'username walletAddress')
       .sort({ tasksCompleted: -1, score: -1, joinedAt: 1 })
       .limit(1);
@@ -121,11 +211,12 @@ class ScoringService {
   }
 
   // Calculate winner randomly
-  async calculateWinnerRandom(sessionId) {
+  async calculateWinnerRandom(sessionId, dbSession = null) {
     const players = await PlayerSession.find({
       sessionId,
-      isActive: true
-    }).populate('userId', 'username walletAddress');
+      isActive: true,
+      disqualifiedAt: null
+    }).session(dbSession).populate('userId', 'username walletAddress');
 
     if (players.length === 0) {
       return null;
@@ -137,13 +228,14 @@ class ScoringService {
   }
 
   // Calculate winner by combined criteria
-  async calculateWinnerCombined(sessionId, sessionConfig) {
+  async calculateWinnerCombined(sessionId, sessionConfig, dbSession = null) {
     const pointsPerTask = sessionConfig?.pointsPerTask || 10;
     
     const players = await PlayerSession.find({
       sessionId,
-      isActive: true
-    }).populate('userId', 'username walletAddress');
+      isActive: true,
+      disqualifiedAt: null
+    }).session(dbSession).populate('userId', 'username walletAddress');
 
     if (players.length === 0) {
       return null;
@@ -173,8 +265,8 @@ class ScoringService {
   }
 
   // Calculate and save final ranks for all players
-  async calculateFinalRanks(sessionId) {
-    const players = await PlayerSession.calculateRanks(sessionId);
+  async calculateFinalRanks(sessionId, dbSession = null) {
+    const players = await PlayerSession.calculateRanks(sessionId, dbSession);
     
     // Also save final ranks
     for (let i = 0; i < players.length; i++) {
@@ -185,9 +277,77 @@ class ScoringService {
     return players;
   }
 
+  // Get the players who meet the session's reward eligibility rules (never disqualified ones)
+  async getEligibleUserIds(session, dbSession = null) {
+    const { minScore = 0, minTimePlayedSeconds = 0 } = session.rewardConfig?.eligibility || {};
+    const players = await PlayerSession.find({
+      sessionId: session._id,
+      isActive: true,
+      disqualifiedAt: null
+    }).session(dbSession);
+    const endTime = session.endTime || new Date();
+
+    return new Set(players
+      .filter(player => player.score >= minScore &&
+        player.getTimePlayed(session.startTime, endTime) >= minTimePlayedSeconds * 1000)
+      .map(player => player.userId.toString()));
+  }
+
+  // Split a prize pool between the winner and the next players on the leaderboard,
+  // skipping players that are not eligible. Places without a player are not paid out.
+  calculatePayouts(session, winner, leaderboard, totalAmount, eligibleUserIds = null) {
+    if (!winner) {
+      return [];
+    }
+
+    const winnerId = (winner.userId._id || winner.userId).toString();
+    const recipients = [
+      winnerId,
+      ...leaderboard
+        .map(player => player.userId.toString())
+        .filter(userId => userId !== winnerId)
+    ].filter(userId => !eligibleUserIds || eligibleUserIds.has(userId));
+
+    const precision = Math.pow(10, DEFAULTS.TOKEN_AMOUNT_DECIMALS);
+
+    return session.getPayoutShares()
+      .slice(0, recipients.length)
+      .map((share, index) => ({
+        userId: recipients[index],
+        rank: index + 1,
+        // Round down so the payouts never exceed the pool
+        tokenAmount: Math.floor(totalAmount * share / 100 * precision) / precision
+      }))
+      .filter(payout => payout.tokenAmount > 0);
+  }
+
+  // Split a team session's prize pool equally between the winning team's eligible members
+  calculateTeamPayouts(winningTeam, leaderboard, totalAmount, eligibleUserIds = null) {
+    if (!winningTeam) {
+      return [];
+    }
+
+    const recipients = leaderboard
+      .filter(player => player.team === winningTeam.team)
+      .map(player => player.userId.toString())
+      .filter(userId => !eligibleUserIds || eligibleUserIds.has(userId));
+
+    if (recipients.length === 0) {
+      return [];
+    }
+
+    const precision = Math.pow(10, DEFAULTS.TOKEN_AMOUNT_DECIMALS);
+    // Round down so the payouts never exceed the pool
+    const tokenAmount = Math.floor(totalAmount / recipients.length * precision) / precision;
+
+    return tokenAmount > 0
+      ? recipients.map(userId => ({ userId, rank: 1, tokenAmount }))
+      : [];
+  }
+
   // Get final leaderboard with ranks
-  async getFinalLeaderboard(sessionId) {
-    const session = await this.findSessionById(sessionId);
+  async getFinalLeaderboard(sessionId, dbSession = null) {
+    const session = await this.findSessionById(sessionId, dbSession);
     
     if (!session) {
       throw new NotFoundError('Session');
@@ -197,6 +357,7 @@ class ScoringService {
       sessionId: session._id,
       isActive: true
     })
+      .session(dbSession)
       .populate('userId', 'username walletAddress')
       .sort({ finalRank: 1, rank: 1 });
 
@@ -207,6 +368,9 @@ class ScoringService {
       walletAddress: player.userId.walletAddress,
       score: player.score,
       tasksCompleted: player.tasksCompleted,
+      team: player.team,
+      flagged: !!player.flaggedAt,
+      disqualified: !!player.disqualifiedAt,
       joinedAt: player.joinedAt
     }));
   }
@@ -1,10 +1,27 @@
 const GameSession = require('../models/GameSession');
 const PlayerSession = require('../models/PlayerSession');
 const User = require('../models/User');
+const ScoreEvent = require('../models/ScoreEvent');
+const ScoreViolation = require('../models/ScoreViolation');
 const { NotFoundError, ConflictError, ValidationError, AuthorizationError } = require('../utils/errors');
-const { SESSION_STATUS, DEFAULTS, ERROR_CODES } = require('../utils/constants');
+const {
+  SESSION_STATUS,
+  SESSION_VISIBILITY,
+  TEAM_ASSIGNMENT,
+  VIOLATION_ACTION,
+  USER_ROLE,
+  SCORE_EVENT_TYPE,
+  SCORE_EVENT_SOURCE,
+  PAYOUT_TYPE,
+  OUTBOX_EVENT_TYPE,
+  DEFAULTS,
+  ERROR_CODES
+} = require('../utils/constants');
 const scoringService = require('./scoring.service');
 const blockchainService = require('./blockchain.service');
+const outboxService = require('./outbox.service');
+const antiCheatService = require('./antiCheat.service');
+const sessionScheduler = require('./sessionScheduler.service');
 const mongoose = require('mongoose');
 
 class SessionService {
@@ -27,7 +44,13 @@ class SessionService {
       durationMinutes = DEFAULTS.SESSION_DURATION,
       maxPlayers = DEFAULTS.MAX_PLAYERS,
       minPlayersToStart = DEFAULTS.MIN_PLAYERS_TO_START,
-      config: sessionConfig = {}
+      config: sessionConfig = {},
+      prizePool = {},
+      rewardConfig = {},
+      visibility = SESSION_VISIBILITY.PUBLIC,
+      password = null,
+      invitedUserIds = [],
+      tasks = []
     } = config;
 
     // Verify user exists
@@ -36,25 +59,118 @@ class SessionService {
       throw new NotFoundError('User');
     }
 
+    const { network, tokenAddress } = this.resolveRewardToken(rewardConfig);
+
+    // The pool is paid from the hot wallet: only admins size it, within the cap;
+    // everyone else plays for the default pool
+    const totalAmount = user.isAdmin() && prizePool.totalAmount !== undefined ? prizePool.totalAmount : null;
+    const maxPrizePool = blockchainService.getMaxPrizePool(network);
+    if (totalAmount !== null && totalAmount > maxPrizePool) {
+      throw new ValidationError(`Prize pool total amount cannot exceed ${maxPrizePool} on network ${network}`);
+    }
+    const eligibility = rewardConfig.eligibility || {};
+    const lobbyTimeoutMinutes = sessionConfig.lobbyTimeoutMinutes || DEFAULTS.LOBBY_TIMEOUT_MINUTES;
+    const teams = sessionConfig.teams || {};
+    const antiCheat = sessionConfig.antiCheat || {};
+    const creatorAssignsTeams = teams.count > 0 && teams.assignment === TEAM_ASSIGNMENT.CREATOR;
+
     // Create session
-    const session = await GameSession.create({
+    const session = new GameSession({
       creatorId: userId,
+      visibility,
+      invitedUserIds: [...new Set(invitedUserIds.map(String))],
       durationMinutes,
       maxPlayers,
       minPlayersToStart,
+      // Answers are only kept hashed
+      tasks: tasks.map(task => ({
+        taskId: task.taskId,
+        title: task.title || null,
+        points: task.points,
+        maxCompletions: task.maxCompletions || 1,
+        answerHash: task.answer ? GameSession.hashTaskAnswer(task.answer) : (task.answerHash || null)
+      })),
       config: {
         scoringType: sessionConfig.scoringType || 'POINTS',
         pointsPerTask: sessionConfig.pointsPerTask || DEFAULTS.POINTS_PER_TASK,
+        maxPointsPerAward: sessionConfig.maxPointsPerAward || null,
         enableRandomWinner: sessionConfig.enableRandomWinner || false,
-        autoStart: sessionConfig.autoStart !== undefined ? sessionConfig.autoStart : true,
-        autoEnd: sessionConfig.autoEnd !== undefined ? sessionConfig.autoEnd : true
+        // A ready check only runs on manual starts, and creator-assigned teams need time to
+        // be filled, so either turns auto-start off by default
+        autoStart: sessionConfig.autoStart !== undefined
+          ? sessionConfig.autoStart
+          : !sessionConfig.readyCheck && !creatorAssignsTeams,
+        autoEnd: sessionConfig.autoEnd !== undefined ? sessionConfig.autoEnd : true,
+        lobbyTimeoutMinutes,
+        startOnLobbyTimeout: sessionConfig.startOnLobbyTimeout || false,
+        readyCheck: sessionConfig.readyCheck || false,
+        readyCheckSeconds: sessionConfig.readyCheckSeconds || DEFAULTS.READY_CHECK_SECONDS,
+        maxSpectators: sessionConfig.maxSpectators !== undefined ? sessionConfig.maxSpectators : null,
+        teams: {
+          count: teams.count || 0,
+          assignment: teams.assignment || TEAM_ASSIGNMENT.AUTO_BALANCE,
+          names: teams.names || []
+        },
+        antiCheat: {
+          maxUpdatesPerSecond: antiCheat.maxUpdatesPerSecond !== undefined
+            ? antiCheat.maxUpdatesPerSecond
+            : DEFAULTS.MAX_SCORE_UPDATES_PER_SECOND,
+          maxPointsPerWindow: antiCheat.maxPointsPerWindow || null,
+          windowSeconds: antiCheat.windowSeconds || DEFAULTS.SCORE_WINDOW_SECONDS,
+          violationAction: antiCheat.violationAction || VIOLATION_ACTION.NONE,
+          violationThreshold: antiCheat.violationThreshold || DEFAULTS.VIOLATION_THRESHOLD
+        }
+      },
+      lobbyExpiresAt: new Date(Date.now() + lobbyTimeoutMinutes * 60 * 1000),
+      prizePool: {
+        totalAmount,
+        payoutType: prizePool.payoutType || PAYOUT_TYPE.WINNER_TAKES_ALL,
+        payoutTable: prizePool.payoutType === PAYOUT_TYPE.TABLE ? prizePool.payoutTable : [],
+        winnerCount: prizePool.payoutType === PAYOUT_TYPE.EQUAL_SPLIT ? prizePool.winnerCount : 1
+      },
+      rewardConfig: {
+        network,
+        tokenAddress,
+        eligibility: {
+          minScore: eligibility.minScore || 0,
+          minTimePlayedSeconds: eligibility.minTimePlayedSeconds || 0
+        }
       }
     });
+    await session.setPassword(password);
+    await session.save();
 
     // Populate creator
     await session.populate('creatorId', 'username walletAddress');
 
-    return this.formatSessionData(session);
+    // The invite code is only handed to the creator
+    return {
+      ...this.formatSessionData(session),
+      inviteCode: session.inviteCode
+    };
+  }
+
+  // Resolve the network and token a session pays out in, falling back to the server defaults
+  resolveRewardToken({ network, tokenAddress } = {}) {
+    const rewardNetwork = network || blockchainService.network;
+
+    if (!blockchainService.isNetworkSupported(rewardNetwork)) {
+      throw new ValidationError(`Rewards cannot be paid on network ${rewardNetwork}`);
+    }
+
+    if (!tokenAddress) {
+      // The default token only exists on the default network
+      if (rewardNetwork !== blockchainService.network) {
+        throw new ValidationError(`Token address is required for network ${rewardNetwork}`);
+      }
+      return { network: rewardNetwork, tokenAddress: blockchainService.contractAddress };
+    }
+
+    if (!blockchainService.isTokenAllowed(rewardNetwork, tokenAddress)) {
+      throw new ValidationError(`Token is not allowed for rewards on network ${rewardNetwork}`);
+    }
+
+    return { network: rewardNetwork, tokenAddress };
   }
 
   // Get session by ID or sessionId
@@ -72,15 +188,26 @@ class SessionService {
     return this.formatSessionData(session);
   }
 
-  // List active/waiting sessions
-  async listSessions(status = null, limit = 50) {
+  // List active/waiting sessions (public ones, plus any the user belongs to or is invited to)
+  async listSessions(status = null, limit = 50, userId = null) {
     const query = {};
     
     if (status) {
       query.status = status;
     } else {
-      // Default: show WAITING and LIVE sessions
-      query.status = { $in: [SESSION_STATUS.WAITING, SESSION_STATUS.LIVE] };
+      // Default: show WAITING, LIVE and PAUSED sessions
+      query.status = { $in: [SESSION_STATUS.WAITING, SESSION_STATUS.LIVE, SESSION_STATUS.PAUSED] };
+    }
+
+    if (userId) {
+      query.$or = [
+        { visibility: SESSION_VISIBILITY.PUBLIC },
+        { creatorId: userId },
+        { players: userId },
+        { invitedUserIds: userId }
+      ];
+    } else {
+      query.visibility = SESSION_VISIBILITY.PUBLIC;
     }
 
     const sessions = await GameSession.find(query)
@@ -92,8 +219,9 @@ class SessionService {
     return sessions.map(session => this.formatSessionData(session));
   }
 
-  // Join a session
-  async joinSession(sessionId, userId) {
+  // Join a session (password / inviteCode are checked for protected sessions; team is
+  // the player's pick in MANUAL team sessions)
+  async joinSession(sessionId, userId, broadcastService = null, { password, inviteCode, team = null } = {}) {
     // Get session
     const session = await this.findSessionById(sessionId);
 
@@ -101,6 +229,8 @@ class SessionService {
       throw new NotFoundError('Session');
     }
 
+    await this.assertCanJoin(session, userId, { password, inviteCode });
+
     // Check if session is joinable
     if (!session.isJoinable()) {
       if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
@@ -131,6 +261,8 @@ class SessionService {
       throw new ValidationError('User account is not active');
     }
 
+    const playerTeam = await this.resolveJoinTeam(session, team, existingPlayerSession);
+
     // Create or reactivate PlayerSession
     let playerSession;
     if (existingPlayerSession) {
@@ -138,6 +270,7 @@ class SessionService {
       existingPlayerSession.isActive = true;
       existingPlayerSession.leftAt = null;
       existingPlayerSession.lastActivityAt = new Date();
+      existingPlayerSession.team = playerTeam;
       playerSession = await existingPlayerSession.save();
     } else {
       // Create new PlayerSession
@@ -145,7 +278,8 @@ class SessionService {
         sessionId: session._id,
         userId,
         score: 0,
-        tasksCompleted: 0
+        tasksCompleted: 0,
+        team: playerTeam
       });
     }
 
@@ -154,6 +288,14 @@ class SessionService {
       await session.addPlayer(userId);
     }
 
+    // Auto-start once the lobby has enough players. The start is conditional, so a
+    // session cancelled or started by someone else in the meantime is left alone.
+    if (session.config.autoStart &&
+        session.status === SESSION_STATUS.WAITING &&
+        session.playerCount >= session.minPlayersToStart) {
+      await this.launchSession(session, broadcastService);
+    }
+
     // Increment user's session count
     await user.incrementSessionsJoined();
 
@@ -163,6 +305,257 @@ class SessionService {
     return updatedSession;
   }
 
+  // Join a session by its invite code
+  async joinSessionByInviteCode(inviteCode, userId, broadcastService = null, { password, team = null } = {}) {
+    const session = await GameSession.findByInviteCode(inviteCode);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    return this.joinSession(session._id, userId, broadcastService, { password, inviteCode, team });
+  }
+
+  // Team for a joining player: returning players keep theirs, MANUAL sessions take the
+  // player's pick, AUTO_BALANCE the smallest team, and CREATOR leaves it unassigned
+  async resolveJoinTeam(session, team = null, existingPlayerSession = null) {
+    if (!session.isTeamSession()) {
+      if (team !== null && team !== undefined) {
+        throw new ValidationError('This session is not played in teams');
+      }
+      return null;
+    }
+
+    if (existingPlayerSession && existingPlayerSession.team) {
+      return existingPlayerSession.team;
+    }
+
+    const { assignment, count } = session.config.teams;
+
+    if (team !== null && team !== undefined) {
+      if (assignment !== TEAM_ASSIGNMENT.MANUAL) {
+        throw new ValidationError('Teams are not picked by players in this session');
+      }
+      await this.assertTeamHasRoom(session, team);
+      return team;
+    }
+
+    switch (assignment) {
+      case TEAM_ASSIGNMENT.MANUAL:
+        throw new ValidationError(`Pick a team between 1 and ${count} to join this session`);
+      case TEAM_ASSIGNMENT.CREATOR:
+        return null;
+      default:
+        return this.pickSmallestTeam(session);
+    }
+  }
+
+  // Smallest team (lowest number on ties)
+  async pickSmallestTeam(session) {
+    const counts = await PlayerSession.countByTeam(session._id);
+
+    let smallest = 1;
+    for (let team = 2; team <= session.config.teams.count; team++) {
+      if ((counts.get(team) || 0) < (counts.get(smallest) || 0)) {
+        smallest = team;
+      }
+    }
+    return smallest;
+  }
+
+  // Check a team number exists and the team is not full
+  async assertTeamHasRoom(session, team) {
+    const { count } = session.config.teams;
+    if (!Number.isInteger(team) || team < 1 || team > count) {
+      throw new ValidationError(`Team must be between 1 and ${count}`);
+    }
+
+    const counts = await PlayerSession.countByTeam(session._id);
+    if ((counts.get(team) || 0) >= session.getTeamCapacity()) {
+      throw new ConflictError(`${session.getTeamName(team)} is full`);
+    }
+  }
+
+  // Move a player to a team. Players switch themselves in MANUAL sessions while WAITING;
+  // the creator or an admin can assign anyone in any mode until the session is over
+  async setPlayerTeam(sessionId, userId, targetUserId, team, broadcastService = null) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (!session.isTeamSession()) {
+      throw new ValidationError('This session is not played in teams');
+    }
+
+    if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
+      throw new ConflictError('Session has already ended');
+    }
+
+    const isSelf = targetUserId.toString() === userId.toString();
+    const canSwitchSelf = isSelf &&
+      session.config.teams.assignment === TEAM_ASSIGNMENT.MANUAL &&
+      session.status === SESSION_STATUS.WAITING;
+    if (!canSwitchSelf) {
+      await this.assertCanManageSession(session, userId, 'assign teams in');
+    }
+
+    const playerSession = await PlayerSession.findOne({
+      sessionId: session._id,
+      userId: targetUserId,
+      isActive: true
+    }).populate('userId', 'username');
+
+    if (!playerSession) {
+      throw new NotFoundError('Player session');
+    }
+
+    if (playerSession.team !== team) {
+      await this.assertTeamHasRoom(session, team);
+      playerSession.team = team;
+      await playerSession.save();
+    }
+
+    const result = {
+      sessionId: session.sessionId,
+      userId: playerSession.userId._id,
+      username: playerSession.userId.username,
+      team,
+      teamName: session.getTeamName(team)
+    };
+
+    if (broadcastService) {
+      broadcastService.notifyTeamChanged(session.sessionId, result);
+    }
+
+    return result;
+  }
+
+  // Live team leaderboard
+  async getTeamLeaderboard(sessionId) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (!session.isTeamSession()) {
+      throw new ValidationError('This session is not played in teams');
+    }
+
+    return scoringService.getTeamLeaderboard(session);
+  }
+
+  // Check a user may join: members and invitees skip the invite requirement, and
+  // a password (when set) is required from everyone except the creator and returning players
+  async assertCanJoin(session, userId, { password, inviteCode } = {}) {
+    if (session.isBanned(userId)) {
+      throw new AuthorizationError('You are banned from this session');
+    }
+
+    const creatorId = session.creatorId._id || session.creatorId;
+    const isCreator = creatorId.toString() === userId.toString();
+    const isPlayer = session.players.some(id => id.toString() === userId.toString());
+
+    if (isCreator || isPlayer) {
+      return;
+    }
+
+    const hasInvite = session.isMember(userId) ||
+      (typeof inviteCode === 'string' && inviteCode.toUpperCase() === session.inviteCode);
+
+    if (session.visibility === SESSION_VISIBILITY.PRIVATE && !hasInvite) {
+      throw new AuthorizationError('This session is private: an invite is required to join');
+    }
+
+    if (session.passwordHash && !(await session.checkPassword(password))) {
+      throw new AuthorizationError('Incorrect session password');
+    }
+  }
+
+  // Find a session a user may spectate: same access rules as joining, but the user
+  // must not be a player and the session must not be over
+  async getSpectatableSession(sessionId, userId, { password, inviteCode } = {}) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    // Banned users are kept out of the rooms entirely, not just the player list
+    if (session.isBanned(userId)) {
+      throw new AuthorizationError('You are banned from this session');
+    }
+
+    if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
+      throw new ConflictError('Session has already ended');
+    }
+
+    if (session.players.some(id => id.toString() === userId.toString())) {
+      throw new ConflictError('Players cannot spectate their own session');
+    }
+
+    await this.assertCanJoin(session, userId, { password, inviteCode });
+
+    return session;
+  }
+
+  // Invite code, visibility and invite list (creator or admin)
+  async getSessionInvite(sessionId, userId) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    await this.assertCanManageSession(session, userId, 'view the invite for');
+
+    return {
+      sessionId: session.sessionId,
+      inviteCode: session.inviteCode,
+      visibility: session.visibility,
+      hasPassword: !!session.passwordHash,
+      invitedUserIds: session.invitedUserIds
+    };
+  }
+
+  // Add users to a session's invite list (creator or admin)
+  async inviteUsers(sessionId, userId, userIds) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    await this.assertCanManageSession(session, userId, 'invite players to');
+
+    if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
+      throw new ConflictError('Session has already ended');
+    }
+
+    const users = await User.find({ _id: { $in: userIds } }).select('_id');
+    if (users.length !== new Set(userIds.map(String)).size) {
+      throw new NotFoundError('User');
+    }
+
+    const invited = new Set([...session.invitedUserIds, ...userIds].map(String));
+    if (invited.size > DEFAULTS.MAX_SESSION_INVITES) {
+      throw new ValidationError(`A session cannot have more than ${DEFAULTS.MAX_SESSION_INVITES} invites`);
+    }
+
+    const updated = await GameSession.findByIdAndUpdate(
+      session._id,
+      { $addToSet: { invitedUserIds: { $each: users.map(user => user._id) } } },
+      { new: true }
+    );
+
+    return {
+      sessionId: updated.sessionId,
+      invitedUserIds: updated.invitedUserIds
+    };
+  }
+
   // Leave a session
   async leaveSession(sessionId, userId) {
     // Get session
@@ -195,6 +588,74 @@ class SessionService {
     return { success: true };
   }
 
+  // Remove a player (creator, moderator or admin). A kicked player may rejoin; a banned one
+  // may not, and can be banned before ever joining
+  async removePlayer(sessionId, userId, targetUserId, { ban = false, reason = null } = {}, broadcastService = null) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    await this.assertCanModerateSession(session, userId, ban ? 'ban' : 'kick');
+
+    if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
+      throw new ConflictError('Session has already ended');
+    }
+
+    if (session.creatorId.toString() === targetUserId.toString()) {
+      throw new ValidationError('The session creator cannot be removed');
+    }
+
+    const target = await User.findById(targetUserId).select('username walletAddress');
+    if (!target) {
+      throw new NotFoundError('User');
+    }
+
+    const playerSession = await PlayerSession.findOne({
+      sessionId: session._id,
+      userId: targetUserId,
+      isActive: true
+    });
+
+    if (!playerSession && !ban) {
+      throw new NotFoundError('Player session');
+    }
+
+    if (ban) {
+      await GameSession.updateOne(
+        { _id: session._id },
+        {
+          $addToSet: { bannedUserIds: target._id },
+          $pull: { invitedUserIds: target._id }
+        }
+      );
+    }
+
+    if (playerSession) {
+      await playerSession.leaveSession();
+      await GameSession.updateOne({ _id: session._id }, { $pull: { players: target._id } });
+    }
+
+    const updatedSession = await this.getSession(session._id);
+
+    if (broadcastService) {
+      broadcastService.notifyPlayerKicked(session.sessionId, target, {
+        banned: ban,
+        reason,
+        playerCount: updatedSession.playerCount
+      });
+    }
+
+    return {
+      sessionId: session.sessionId,
+      userId: target._id,
+      banned: ban,
+      wasPlaying: !!playerSession,
+      playerCount: updatedSession.playerCount
+    };
+  }
+
   // End a session
   async endSession(sessionId, userId) {
     // Get session
@@ -204,10 +665,8 @@ class SessionService {
       throw new NotFoundError('Session');
     }
 
-    // Verify user is creator
-    if (session.creatorId.toString() !== userId.toString()) {
-      throw new AuthorizationError('Only session creator can end the session');
-    }
+    // Verify user is creator or admin
+    await this.assertCanManageSession(session, userId, 'end');
 
     // Check if already ended
     if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
@@ -216,6 +675,7 @@ class SessionService {
 
     // End session
     await session.end();
+    sessionScheduler.cancel(session.sessionId);
 
     // Get updated session
     const updatedSession = await this.getSession(session._id);
@@ -223,8 +683,10 @@ class SessionService {
     return updatedSession;
   }
 
-  // End session and process rewards
-  async endSessionAndProcessRewards(sessionId, userId, broadcastService = null) {
+  // Cancel a session (creator or admin; no userId means the system). The session
+  // and its players are closed in one transaction, no winner is picked and no
+  // reward is ever created for it.
+  async cancelSession(sessionId, userId, reason = null, broadcastService = null) {
     // Get session
     const session = await this.findSessionById(sessionId);
 
@@ -232,9 +694,9 @@ class SessionService {
       throw new NotFoundError('Session');
     }
 
-    // Verify user is creator (if userId provided, otherwise allow system/auto-end)
-    if (userId && session.creatorId.toString() !== userId.toString()) {
-      throw new AuthorizationError('Only session creator can end the session');
+    // Verify user is creator or admin
+    if (userId) {
+      await this.assertCanManageSession(session, userId, 'cancel');
     }
 
     // Check if already ended
@@ -242,131 +704,704 @@ class SessionService {
       throw new ConflictError('Session is already ended');
     }
 
-    // End session
-    await session.end();
-
-    // Calculate winner
-    const winner = await scoringService.calculateWinner(session._id);
-
-    // Get final leaderboard
-    const leaderboard = await scoringService.getFinalLeaderboard(session._id);
-
-    // Award token to winner if exists
-    let rewardData = null;
-    if (winner) {
-      try {
-        // Get winner userId (handle both ObjectId and populated object)
-        const winnerUserId = winner.userId._id || winner.userId;
-        
-        rewardData = await blockchainService.awardToken(session._id, winnerUserId, null);
-        
-        // Update user's sessions won count
-        const winnerUser = await User.findById(winnerUserId);
-        if (winnerUser) {
-          await winnerUser.incrementSessionsWon();
-        }
-      } catch (error) {
-        console.error('Error awarding token:', error);
-        // Continue even if token award fails - reward will be in PENDING status
-        rewardData = {
-          status: 'PENDING',
-          error: error.message
-        };
+    // Cancel session; conflicts with a concurrent end so only one of them wins
+    await mongoose.connection.transaction(async (dbSession) => {
+      const cancelled = await GameSession.cancelOpen(
+        session._id,
+        { reason, cancelledBy: userId || null },
+        dbSession
+      );
+      if (!cancelled) {
+        throw new ConflictError('Session is already ended');
       }
-    }
+
+      await PlayerSession.deactivateAll(session._id, dbSession);
+    });
+    sessionScheduler.cancel(session.sessionId);
+    sessionScheduler.cancelReadyCheck(session.sessionId);
 
     // Get updated session
     const updatedSession = await this.getSession(session._id);
 
-    // Broadcast events if broadcast service provided
     if (broadcastService) {
-      broadcastService.notifySessionEnded(
-        session.sessionId,
-        updatedSession,
-        winner,
-        leaderboard
-      );
-
-      if (rewardData && rewardData.transactionHash) {
-        const winnerUserId = winner.userId._id || winner.userId;
-        broadcastService.notifyTokenRewarded(
-          session.sessionId,
-          winnerUserId,
-          rewardData
-        );
-      }
+      broadcastService.notifySessionCancelled(session.sessionId, updatedSession);
     }
 
-    return {
-      session: updatedSession,
-      winner: winner ? {
-        userId: winner.userId,
-        username: winner.username,
-        walletAddress: winner.walletAddress,
-        score: winner.score,
-        tasksCompleted: winner.tasksCompleted
-      } : null,
-      leaderboard,
-      reward: rewardData
-    };
+    return updatedSession;
   }
 
-  // Get leaderboard
-  async getLeaderboard(sessionId, limit = 10) {
-    // Get session to verify it exists
-    const session = await this.findSessionById(sessionId);
+  // Handle a WAITING session whose lobby timed out (background job): start it with
+  // the players who joined if the session allows it, cancel it otherwise
+  async handleLobbyTimeout(sessionObjectId, broadcastService = null) {
+    const session = await GameSession.findById(sessionObjectId);
 
-    if (!session) {
-      throw new NotFoundError('Session');
+    if (!session || session.status !== SESSION_STATUS.WAITING) {
+      return null;
     }
 
-    // Get leaderboard
-    const leaderboard = await PlayerSession.getLeaderboard(session._id, parseInt(limit));
+    if (session.config.startOnLobbyTimeout && session.playerCount > 0) {
+      // Nothing to announce if the session started or closed in the meantime
+      const started = await this.launchSession(session, broadcastService, { allowFewerPlayers: true });
+      return started ? { action: 'started', session: this.formatSessionData(started) } : null;
+    }
 
-    return leaderboard.map((player, index) => ({
-      rank: index + 1,
-      userId: player.userId._id,
-      username: player.userId.username,
-      walletAddress: player.userId.walletAddress,
-      score: player.score,
-      tasksCompleted: player.tasksCompleted,
-      joinedAt: player.joinedAt
-    }));
+    const cancelled = await this.cancelSession(
+      session._id,
+      null,
+      `Lobby timed out after ${session.config.lobbyTimeoutMinutes} minute(s) without enough players`,
+      broadcastService
+    );
+
+    return { action: 'cancelled', session: cancelled };
   }
 
-  // Update player score
-  async updatePlayerScore(sessionId, userId, score, tasksCompleted) {
-    // Get session
+  // Start a WAITING session manually (creator or admin). With a ready check the
+  // session starts once every player is ready instead of right away.
+  async startSession(sessionId, userId, broadcastService = null) {
     const session = await this.findSessionById(sessionId);
 
     if (!session) {
       throw new NotFoundError('Session');
     }
 
-    // Check if session is active
-    if (session.status !== SESSION_STATUS.LIVE) {
-      throw new ValidationError('Can only update score in LIVE sessions');
+    await this.assertCanManageSession(session, userId, 'start');
+
+    if (session.status !== SESSION_STATUS.WAITING) {
+      throw new ConflictError('Only WAITING sessions can be started');
     }
 
-    // Find PlayerSession
-    const playerSession = await PlayerSession.findOne({
-      sessionId: session._id,
-      userId,
-      isActive: true
-    });
+    if (session.playerCount < session.minPlayersToStart) {
+      throw new ValidationError(`Need at least ${session.minPlayersToStart} players to start`);
+    }
 
-    if (!playerSession) {
-      throw new NotFoundError('Player session');
+    if (session.isTeamSession() && session.config.teams.assignment === TEAM_ASSIGNMENT.CREATOR) {
+      const unassigned = await PlayerSession.countDocuments({ sessionId: session._id, isActive: true, team: null });
+      if (unassigned > 0) {
+        throw new ConflictError(`${unassigned} player(s) have not been assigned a team`);
+      }
     }
 
-    // Update score
-    await playerSession.updatePerformance(
-      score !== undefined ? score : playerSession.score,
-      tasksCompleted !== undefined ? tasksCompleted : playerSession.tasksCompleted
-    );
+    if (!session.config.readyCheck) {
+      if (!(await this.launchSession(session, broadcastService))) {
+        throw new ConflictError('Session is no longer waiting to start');
+      }
+      return { started: true, session: await this.getSession(session._id) };
+    }
 
-    // Get updated player data
-    const updatedPlayer = await PlayerSession.findById(playerSession._id)
+    if (session.readyCheck && session.readyCheck.expiresAt) {
+      throw new ConflictError('A ready check is already in progress');
+    }
+
+    await PlayerSession.resetReady(session._id);
+
+    const startedAt = new Date();
+    session.readyCheck = {
+      startedAt,
+      expiresAt: new Date(startedAt.getTime() + session.config.readyCheckSeconds * 1000)
+    };
+    await session.save();
+    sessionScheduler.scheduleReadyCheck(session);
+
+    if (broadcastService) {
+      broadcastService.notifyReadyCheckStarted(session.sessionId, session.readyCheck);
+    }
+
+    return { started: false, session: await this.getSession(session._id) };
+  }
+
+  // Mark a player ready during a ready check; the last one to confirm starts the session
+  async markReady(sessionId, userId, broadcastService = null) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (session.status !== SESSION_STATUS.WAITING ||
+      !session.readyCheck || !session.readyCheck.expiresAt ||
+      session.readyCheck.expiresAt.getTime() <= Date.now()) {
+      throw new ConflictError('No ready check is in progress');
+    }
+
+    const playerSession = await PlayerSession.findOne({
+      sessionId: session._id,
+      userId,
+      isActive: true
+    });
+
+    if (!playerSession) {
+      throw new NotFoundError('Player session');
+    }
+
+    if (!playerSession.isReady) {
+      playerSession.isReady = true;
+      playerSession.readyAt = new Date();
+      await playerSession.save();
+    }
+
+    const players = await PlayerSession.findBySession(session._id, true);
+    const readyCount = players.filter(player => player.isReady).length;
+
+    if (broadcastService) {
+      broadcastService.notifyPlayerReady(session.sessionId, userId, readyCount, players.length);
+    }
+
+    if (readyCount < players.length) {
+      return { started: false, readyCount, playerCount: players.length };
+    }
+
+    // Everyone is ready: whoever finishes the check starts the session (unless it
+    // was cancelled in the meantime)
+    const finished = await GameSession.finishReadyCheck(session._id);
+    let started = true;
+    if (finished) {
+      sessionScheduler.cancelReadyCheck(finished.sessionId);
+      started = !!(await this.launchSession(finished, broadcastService));
+    }
+
+    return { started, readyCount, playerCount: players.length };
+  }
+
+  // Close a ready check that ran out (background job): players who did not confirm
+  // are removed, and the session starts if enough ready players remain
+  async expireReadyCheck(sessionObjectId, broadcastService = null) {
+    const session = await GameSession.finishReadyCheck(sessionObjectId);
+
+    if (!session) {
+      return null;
+    }
+
+    sessionScheduler.cancelReadyCheck(session.sessionId);
+
+    const notReady = await PlayerSession.find({
+      sessionId: session._id,
+      isActive: true,
+      isReady: false
+    });
+
+    for (const playerSession of notReady) {
+      await playerSession.leaveSession();
+    }
+
+    // Pull only the removed players: anyone who joined meanwhile stays
+    const removedUserIds = notReady.map(player => player.userId.toString());
+    const updated = await GameSession.findOneAndUpdate(
+      { _id: session._id },
+      { $pull: { players: { $in: notReady.map(player => player.userId) } } },
+      { new: true }
+    );
+
+    if (updated.status !== SESSION_STATUS.WAITING) {
+      return { action: 'aborted', removedUserIds };
+    }
+
+    if (updated.playerCount >= updated.minPlayersToStart) {
+      const started = await this.launchSession(updated, broadcastService);
+      return { action: started ? 'started' : 'aborted', removedUserIds };
+    }
+
+    if (broadcastService) {
+      broadcastService.notifyReadyCheckFailed(updated.sessionId, removedUserIds, updated.playerCount);
+    }
+
+    return { action: 'failed', removedUserIds };
+  }
+
+  // Put a WAITING session live: arm its end timer and tell the room. Returns the
+  // started session, or null (nothing armed or sent) if it was cancelled, started
+  // elsewhere or lost players since it was read.
+  async launchSession(session, broadcastService = null, options = {}) {
+    const started = await session.startIfWaiting(options);
+    if (!started) {
+      return null;
+    }
+
+    sessionScheduler.schedule(started);
+
+    if (broadcastService) {
+      broadcastService.notifySessionStarted(started.sessionId, started);
+    }
+
+    return started;
+  }
+
+  // Pause a LIVE session: scores are frozen and the end timer stops
+  async pauseSession(sessionId, userId, broadcastService = null) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    await this.assertCanManageSession(session, userId, 'pause');
+
+    if (session.status !== SESSION_STATUS.LIVE) {
+      throw new ConflictError('Only LIVE sessions can be paused');
+    }
+
+    if (session.remainingTime === 0) {
+      throw new ConflictError('Session is already ending');
+    }
+
+    const paused = await session.pause();
+    if (!paused) {
+      throw new ConflictError('Session is no longer LIVE');
+    }
+    sessionScheduler.cancel(paused.sessionId);
+
+    if (broadcastService) {
+      broadcastService.notifySessionPaused(paused.sessionId, paused);
+    }
+
+    return this.getSession(session._id);
+  }
+
+  // Resume a PAUSED session; the end moves back by the time spent paused
+  async resumeSession(sessionId, userId, broadcastService = null) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    await this.assertCanManageSession(session, userId, 'resume');
+
+    if (session.status !== SESSION_STATUS.PAUSED) {
+      throw new ConflictError('Only PAUSED sessions can be resumed');
+    }
+
+    const resumed = await session.resume();
+    if (!resumed) {
+      throw new ConflictError('Session changed while resuming; it may have ended or been cancelled');
+    }
+    sessionScheduler.schedule(resumed);
+
+    if (broadcastService) {
+      broadcastService.notifySessionResumed(resumed.sessionId, resumed);
+    }
+
+    return this.getSession(session._id);
+  }
+
+  // Add minutes to a LIVE or PAUSED session
+  async extendSession(sessionId, userId, minutes, broadcastService = null) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    await this.assertCanManageSession(session, userId, 'extend');
+
+    if (session.status !== SESSION_STATUS.LIVE && session.status !== SESSION_STATUS.PAUSED) {
+      throw new ConflictError('Only LIVE or PAUSED sessions can be extended');
+    }
+
+    if (!session.scheduledEndTime) {
+      throw new ValidationError('Session has no scheduled end time');
+    }
+
+    if (session.remainingTime === 0) {
+      throw new ConflictError('Session is already ending');
+    }
+
+    const extended = await session.extend(minutes);
+    if (!extended) {
+      throw new ConflictError('Session changed while extending; it may have ended or been cancelled');
+    }
+    sessionScheduler.schedule(extended);
+
+    if (broadcastService) {
+      broadcastService.notifySessionExtended(extended.sessionId, extended, minutes);
+    }
+
+    return this.getSession(session._id);
+  }
+
+  // End session and process rewards. The end, rankings, winner and reward records
+  // are committed in one transaction together with outbox events for the side
+  // effects (reward delivery, broadcasts), which are dispatched after commit.
+  // leaseOwner is set by the auto-end job, which must hold the session's end lease.
+  async endSessionAndProcessRewards(sessionId, userId, broadcastService = null, { leaseOwner = null } = {}) {
+    // Get session
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    // Verify user is creator or admin (if userId provided, otherwise allow system/auto-end)
+    if (userId) {
+      await this.assertCanManageSession(session, userId, 'end');
+    }
+
+    // Check if already ended
+    if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
+      throw new ConflictError('Session is already ended');
+    }
+
+    // The callback may run more than once if the transaction is retried
+    let outcome;
+    await mongoose.connection.transaction(async (dbSession) => {
+      outcome = await this.commitSessionEnd(session._id, dbSession, leaseOwner);
+    });
+    sessionScheduler.cancel(session.sessionId);
+
+    // Dispatch side effects now; anything left over is replayed by the outbox worker
+    const dispatched = await outboxService.processEvents(outcome.eventIds, broadcastService);
+    const deliveries = new Map(dispatched
+      .filter(event => event.result && event.result.rewardId)
+      .map(event => [event.result.rewardId.toString(), event.result]));
+
+    const rewards = outcome.rewards.map(reward =>
+      deliveries.get(reward.rewardId.toString()) || reward
+    );
+
+    // Get updated session
+    const updatedSession = await this.getSession(session._id);
+
+    return {
+      session: updatedSession,
+      winner: outcome.winner ? {
+        userId: outcome.winner.userId,
+        username: outcome.winner.username,
+        walletAddress: outcome.winner.walletAddress,
+        score: outcome.winner.score,
+        tasksCompleted: outcome.winner.tasksCompleted
+      } : null,
+      winningTeam: outcome.winner && outcome.winner.team ? outcome.winner.team : null,
+      leaderboard: outcome.leaderboard,
+      teamLeaderboard: outcome.teamLeaderboard,
+      rewards
+    };
+  }
+
+  // Transaction body for endSessionAndProcessRewards: every write uses dbSession
+  async commitSessionEnd(sessionObjectId, dbSession, leaseOwner = null) {
+    const session = await GameSession.findById(sessionObjectId).session(dbSession);
+
+    // Re-check inside the transaction: a concurrent end makes one of them conflict
+    if (session.status === SESSION_STATUS.ENDED || session.status === SESSION_STATUS.CANCELLED) {
+      throw new ConflictError('Session is already ended');
+    }
+
+    // The lease may have expired and been claimed by another instance meanwhile,
+    // or the session paused or extended since it was claimed
+    if (leaseOwner && !session.holdsEndLease(leaseOwner)) {
+      throw new ConflictError('Session end lease is held by another instance');
+    }
+    if (leaseOwner && (session.status !== SESSION_STATUS.LIVE || session.remainingTime > 0)) {
+      throw new ConflictError('Session is no longer due to end');
+    }
+
+    // End session
+    await session.end();
+
+    // Flag or disqualify players over the violation threshold before anyone can win
+    await antiCheatService.applyViolationActions(session, dbSession);
+
+    // Calculate winner (also saves final ranks)
+    const winner = await scoringService.calculateWinner(session._id, dbSession);
+
+    // Get final leaderboard
+    const leaderboard = await scoringService.getFinalLeaderboard(session._id, dbSession);
+
+    const teamLeaderboard = session.isTeamSession()
+      ? await scoringService.getTeamLeaderboard(session, dbSession)
+      : null;
+
+    // Record a reward per paid place if there is a winner
+    const rewards = [];
+    if (winner) {
+      // Get winner userId (handle both ObjectId and populated object); in team
+      // sessions every member of the winning team has won
+      const winnerUserIds = winner.team
+        ? leaderboard
+          .filter(player => player.team === winner.team.team && !player.disqualified)
+          .map(player => player.userId)
+        : [winner.userId._id || winner.userId];
+
+      // Update users' sessions won count
+      for (const winnerUserId of winnerUserIds) {
+        const winnerUser = await User.findById(winnerUserId).session(dbSession);
+        if (winnerUser) {
+          await winnerUser.incrementSessionsWon();
+        }
+      }
+
+      const { network, tokenAddress } = session.rewardConfig || {};
+      const poolAmount = session.prizePool && session.prizePool.totalAmount !== null
+        ? session.prizePool.totalAmount
+        : blockchainService.defaultTokenAmount;
+      // Sessions created before the cap (or under a higher one) never pay more than the
+      // cap of the network they pay on
+      const totalAmount = Math.min(poolAmount, blockchainService.getMaxPrizePool(network || blockchainService.network));
+      if (totalAmount < poolAmount) {
+        console.warn(`Session ${session.sessionId}: prize pool of ${poolAmount} capped to ${totalAmount}`);
+      }
+      const eligibleUserIds = await scoringService.getEligibleUserIds(session, dbSession);
+      const payouts = winner.team
+        ? scoringService.calculateTeamPayouts(winner.team, leaderboard, totalAmount, eligibleUserIds)
+        : scoringService.calculatePayouts(session, winner, leaderboard, totalAmount, eligibleUserIds);
+
+      for (const payout of payouts) {
+        const reward = await blockchainService.createReward(
+          session._id,
+          payout.userId,
+          payout.tokenAmount,
+          {
+            rank: payout.rank,
+            network: network || blockchainService.network,
+            contractAddress: tokenAddress || blockchainService.contractAddress,
+            dbSession
+          }
+        );
+
+        rewards.push({
+          rewardId: reward._id,
+          sessionId: session._id,
+          userId: reward.userId,
+          rank: reward.rank,
+          tokenAmount: reward.tokenAmount,
+          status: reward.status,
+          network: reward.network
+        });
+      }
+    }
+
+    // Broadcast first, then deliver each reward
+    const events = await outboxService.enqueue([
+      {
+        type: OUTBOX_EVENT_TYPE.SESSION_ENDED,
+        payload: {
+          sessionId: session.sessionId,
+          endTime: session.endTime,
+          winner: winner ? { userId: winner.userId, username: winner.username } : null,
+          leaderboard,
+          winningTeam: winner && winner.team ? { team: winner.team.team, name: winner.team.name } : null,
+          teamLeaderboard
+        }
+      },
+      ...rewards.map(reward => ({
+        type: OUTBOX_EVENT_TYPE.DELIVER_REWARD,
+        payload: {
+          rewardId: reward.rewardId,
+          sessionId: session.sessionId,
+          userId: reward.userId,
+          rank: reward.rank,
+          tokenAmount: reward.tokenAmount
+        }
+      }))
+    ], dbSession);
+
+    return {
+      winner,
+      leaderboard,
+      teamLeaderboard,
+      rewards,
+      eventIds: events.map(event => event._id)
+    };
+  }
+
+  // Get leaderboard
+  async getLeaderboard(sessionId, limit = 10) {
+    // Get session to verify it exists
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    // Get leaderboard
+    const leaderboard = await PlayerSession.getLeaderboard(session._id, parseInt(limit));
+
+    return leaderboard.map((player, index) => ({
+      rank: index + 1,
+      userId: player.userId._id,
+      username: player.userId.username,
+      walletAddress: player.userId.walletAddress,
+      score: player.score,
+      tasksCompleted: player.tasksCompleted,
+      team: player.team,
+      joinedAt: player.joinedAt
+    }));
+  }
+
+  // Record a score event sent by a player. Players only report completed tasks (worth
+  // the session's pointsPerTask) and point awards of up to maxPointsPerAward, with a reason
+  async recordScoreEvent(sessionId, userId, { type, points = null, taskId = null, proof = null, reason = null } = {}) {
+    const session = await this.findScorableSession(sessionId);
+
+    const { pointsPerTask } = session.config;
+    const maxPointsPerAward = session.config.maxPointsPerAward || pointsPerTask;
+    const hasCatalogue = session.hasTaskCatalogue();
+
+    let event;
+    switch (type) {
+      case SCORE_EVENT_TYPE.TASK_COMPLETED:
+        event = hasCatalogue
+          ? this.verifyTaskCompletion(session, taskId, proof, reason)
+          : { type, points: pointsPerTask, tasks: 1, reason };
+        break;
+      case SCORE_EVENT_TYPE.POINTS_AWARDED:
+        // With a catalogue, points only come from verified tasks
+        if (hasCatalogue) {
+          throw new ValidationError('This session only awards points for catalogue tasks');
+        }
+        if (!Number.isInteger(points) || points < 1 || points > maxPointsPerAward) {
+          throw new ValidationError(`Points must be an integer between 1 and ${maxPointsPerAward}`);
+        }
+        if (!reason) {
+          throw new ValidationError('A reason is required for awarded points');
+        }
+        event = { type, points, tasks: 0, reason };
+        break;
+      default:
+        throw new ValidationError(
+          `Type must be ${SCORE_EVENT_TYPE.TASK_COMPLETED} or ${SCORE_EVENT_TYPE.POINTS_AWARDED}`
+        );
+    }
+
+    return this.appendScoreEvent(session, userId, { ...event, source: SCORE_EVENT_SOURCE.PLAYER });
+  }
+
+  // Build the event for a catalogue task, checking the task exists and the proof matches.
+  // Completion limits are checked when the event is appended.
+  verifyTaskCompletion(session, taskId, proof, reason) {
+    if (!taskId) {
+      throw new ValidationError('A task ID is required');
+    }
+
+    const task = session.getTask(taskId);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+
+    if (!session.checkTaskProof(task, proof)) {
+      throw new ValidationError(proof ? 'Incorrect proof for this task' : 'This task requires proof');
+    }
+
+    return {
+      type: SCORE_EVENT_TYPE.TASK_COMPLETED,
+      points: task.points,
+      tasks: 1,
+      taskId: task.taskId,
+      maxCompletions: task.maxCompletions,
+      reason
+    };
+  }
+
+  // Set a player's totals outright. Only for trusted server callers (admin corrections,
+  // server-side game logic); never reachable with player input. Logged as a SCORE_SET
+  // event holding the difference, so the log still adds up to the totals.
+  async setPlayerScore(sessionId, userId, { score, tasksCompleted, reason = null, setBy = null } = {}) {
+    const session = await this.findScorableSession(sessionId, { allowPaused: true });
+
+    return this.appendScoreEvent(session, userId, {
+      type: SCORE_EVENT_TYPE.SCORE_SET,
+      score,
+      tasksCompleted,
+      reason,
+      source: SCORE_EVENT_SOURCE.SERVER,
+      setBy
+    });
+  }
+
+  // Find a session whose scores may change (LIVE, or PAUSED for server corrections)
+  async findScorableSession(sessionId, { allowPaused = false } = {}) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (session.status === SESSION_STATUS.PAUSED && !allowPaused) {
+      throw new ConflictError('Session is paused');
+    }
+    if (session.status !== SESSION_STATUS.LIVE && session.status !== SESSION_STATUS.PAUSED) {
+      throw new ValidationError('Can only update score in LIVE sessions');
+    }
+
+    return session;
+  }
+
+  // Append a score event and recompute the player's totals from the log. Both writes
+  // share a transaction, so concurrent events for a player conflict and are retried.
+  // Player events over the session's anti-cheat limits are refused and recorded.
+  async appendScoreEvent(session, userId, event) {
+    let playerSessionId;
+    let recorded;
+    let violation;
+
+    await mongoose.connection.transaction(async (dbSession) => {
+      violation = null;
+
+      const playerSession = await PlayerSession.findOne({
+        sessionId: session._id,
+        userId,
+        isActive: true
+      }).session(dbSession);
+
+      if (!playerSession) {
+        throw new NotFoundError('Player session');
+      }
+
+      const totals = await ScoreEvent.getTotals(session._id, userId, dbSession);
+
+      if (event.taskId) {
+        const completions = await ScoreEvent.countDocuments({
+          sessionId: session._id,
+          userId,
+          type: SCORE_EVENT_TYPE.TASK_COMPLETED,
+          taskId: event.taskId
+        }).session(dbSession);
+
+        if (completions >= event.maxCompletions) {
+          throw new ConflictError(event.maxCompletions === 1
+            ? 'Task already completed'
+            : `Task can only be completed ${event.maxCompletions} times`);
+        }
+      }
+
+      // SCORE_SET carries absolute totals: log the difference
+      const isSet = event.type === SCORE_EVENT_TYPE.SCORE_SET;
+      const points = isSet ? event.score - totals.score : event.points;
+      const tasks = isSet ? event.tasksCompleted - totals.tasksCompleted : event.tasks;
+
+      violation = await antiCheatService.checkScoreEvent(session, userId, { ...event, points, tasks }, dbSession);
+      if (violation) {
+        return;
+      }
+
+      [recorded] = await ScoreEvent.create([{
+        sessionId: session._id,
+        userId,
+        type: event.type,
+        points,
+        tasks,
+        taskId: event.taskId || null,
+        reason: event.reason,
+        source: event.source,
+        setBy: event.setBy || null,
+        scoreAfter: totals.score + points,
+        tasksAfter: totals.tasksCompleted + tasks
+      }], { session: dbSession });
+
+      playerSession.score = recorded.scoreAfter;
+      playerSession.tasksCompleted = recorded.tasksAfter;
+      playerSession.lastActivityAt = recorded.createdAt;
+      await playerSession.save();
+
+      playerSessionId = playerSession._id;
+    });
+
+    if (violation) {
+      await antiCheatService.recordViolation(session, userId, event, violation);
+      throw antiCheatService.toError(violation);
+    }
+
+    // Get updated player data
+    const updatedPlayer = await PlayerSession.findById(playerSessionId)
       .populate('userId', 'username walletAddress');
 
     return {
@@ -374,10 +1409,148 @@ class SessionService {
       username: updatedPlayer.userId.username,
       score: updatedPlayer.score,
       tasksCompleted: updatedPlayer.tasksCompleted,
-      lastActivityAt: updatedPlayer.lastActivityAt
+      team: updatedPlayer.team,
+      lastActivityAt: updatedPlayer.lastActivityAt,
+      event: {
+        eventId: recorded._id,
+        type: recorded.type,
+        points: recorded.points,
+        tasks: recorded.tasks,
+        taskId: recorded.taskId,
+        reason: recorded.reason
+      }
+    };
+  }
+
+  // A player's score events, newest first (the player, the creator or an admin)
+  async getScoreEvents(sessionId, userId, targetUserId, limit = 50) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (targetUserId.toString() !== userId.toString()) {
+      await this.assertCanManageSession(session, userId, 'view score events in');
+    }
+
+    const [events, totals] = await Promise.all([
+      ScoreEvent.findForPlayer(session._id, targetUserId, Math.min(parseInt(limit) || 50, 100)),
+      ScoreEvent.getTotals(session._id, targetUserId)
+    ]);
+
+    return {
+      sessionId: session.sessionId,
+      userId: targetUserId,
+      totals,
+      events: events.map(event => ({
+        eventId: event._id,
+        type: event.type,
+        points: event.points,
+        tasks: event.tasks,
+        taskId: event.taskId,
+        reason: event.reason,
+        source: event.source,
+        setBy: event.setBy,
+        scoreAfter: event.scoreAfter,
+        tasksAfter: event.tasksAfter,
+        createdAt: event.createdAt
+      }))
     };
   }
 
+  // The session's task catalogue, with how often the caller completed each task
+  async getSessionTasks(sessionId, userId) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    const completions = await ScoreEvent.countTaskCompletions(session._id, userId);
+
+    return {
+      sessionId: session.sessionId,
+      tasks: session.tasks.map(task => ({
+        ...this.formatTask(task),
+        completions: completions.get(task.taskId) || 0
+      }))
+    };
+  }
+
+  // Anti-cheat violations in a session, with each offending player's standing (admins)
+  async getScoreViolations(sessionId, { userId = null, limit = 100 } = {}) {
+    const session = await this.findSessionById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    const playerQuery = { sessionId: session._id, violationCount: { $gt: 0 } };
+    if (userId) {
+      playerQuery.userId = userId;
+    }
+
+    const [players, violations] = await Promise.all([
+      PlayerSession.find(playerQuery)
+        .sort({ violationCount: -1 })
+        .populate('userId', 'username walletAddress'),
+      ScoreViolation.findForSession(session._id, userId, Math.min(parseInt(limit) || 100, 500))
+    ]);
+
+    return {
+      sessionId: session.sessionId,
+      antiCheat: session.config.antiCheat,
+      players: players.map(player => ({
+        userId: player.userId._id,
+        username: player.userId.username,
+        violationCount: player.violationCount,
+        flagged: !!player.flaggedAt,
+        disqualified: !!player.disqualifiedAt
+      })),
+      violations: violations.map(violation => ({
+        violationId: violation._id,
+        userId: violation.userId ? violation.userId._id : null,
+        username: violation.userId ? violation.userId.username : null,
+        type: violation.type,
+        eventType: violation.eventType,
+        points: violation.points,
+        message: violation.message,
+        createdAt: violation.createdAt
+      }))
+    };
+  }
+
+  // Verify user may manage a session (creator or admin)
+  async assertCanManageSession(session, userId, action) {
+    const creatorId = session.creatorId._id || session.creatorId;
+    if (creatorId.toString() === userId.toString()) {
+      return;
+    }
+
+    const user = await User.findById(userId).select('role');
+    if (user && user.isAdmin()) {
+      return;
+    }
+
+    throw new AuthorizationError(`Only session creator or an admin can ${action} the session`);
+  }
+
+  // Verify user may moderate a session's players (creator, moderator or admin)
+  async assertCanModerateSession(session, userId, action) {
+    const creatorId = session.creatorId._id || session.creatorId;
+    if (creatorId.toString() === userId.toString()) {
+      return;
+    }
+
+    const user = await User.findById(userId).select('role');
+    if (user && user.hasRole(USER_ROLE.MODERATOR, USER_ROLE.ADMIN)) {
+      return;
+    }
+
+    throw new AuthorizationError(`Only session creator, a moderator or an admin can ${action} players`);
+  }
+
   // Check if session is joinable
   async isSessionJoinable(sessionId) {
     const session = await this.findSessionById(sessionId);
@@ -389,6 +1562,31 @@ class SessionService {
     return session.isJoinable();
   }
 
+  // Milliseconds left in a LIVE or PAUSED session (frozen while paused)
+  getRemainingTime(session) {
+    if (!session.scheduledEndTime) {
+      return null;
+    }
+    if (session.status === SESSION_STATUS.PAUSED) {
+      return Math.max(0, session.scheduledEndTime.getTime() - session.pausedAt.getTime());
+    }
+    if (session.status === SESSION_STATUS.LIVE) {
+      return Math.max(0, session.scheduledEndTime.getTime() - Date.now());
+    }
+    return null;
+  }
+
+  // Public view of a catalogue task (the answer hash never leaves the server)
+  formatTask(task) {
+    return {
+      taskId: task.taskId,
+      title: task.title,
+      points: task.points,
+      maxCompletions: task.maxCompletions,
+      requiresProof: !!task.answerHash
+    };
+  }
+
   // Format session data for response
   formatSessionData(session) {
     const sessionObj = session.toObject ? session.toObject() : session;
@@ -420,10 +1618,17 @@ class SessionService {
       maxPlayers: sessionObj.maxPlayers,
       minPlayersToStart: sessionObj.minPlayersToStart,
       config: sessionObj.config,
+      tasks: (sessionObj.tasks || []).map(task => this.formatTask(task)),
+      winningTeam: sessionObj.winningTeam,
+      visibility: sessionObj.visibility,
+      hasPassword: !!sessionObj.passwordHash,
+      prizePool: sessionObj.prizePool,
+      rewardConfig: sessionObj.rewardConfig,
       isFull: sessionObj.players ? sessionObj.players.length >= sessionObj.maxPlayers : false,
-      remainingTime: sessionObj.scheduledEndTime && sessionObj.status === SESSION_STATUS.LIVE
-        ? Math.max(0, sessionObj.scheduledEndTime.getTime() - Date.now())
-        : null,
+      lobbyExpiresAt: sessionObj.lobbyExpiresAt,
+      pausedAt: sessionObj.pausedAt,
+      cancelReason: sessionObj.cancelReason,
+      remainingTime: this.getRemainingTime(sessionObj),
       createdAt: sessionObj.createdAt,
       updatedAt: sessionObj.updatedAt
     };
@@ -1,66 +1,168 @@
+const os = require('os');
+const crypto = require('crypto');
 const GameSession = require('../models/GameSession');
 const sessionService = require('./session.service');
+const sessionScheduler = require('./sessionScheduler.service');
 const BroadcastService = require('./broadcast.service');
-const { SESSION_STATUS } = require('../utils/constants');
+const { ConflictError } = require('../utils/errors');
+const { DEFAULTS } = require('../utils/constants');
 
 class SessionAutoEndService {
   constructor(io) {
     this.io = io;
     this.intervalId = null;
+    this.isChecking = false;
+    this.isCheckingLobbies = false;
     this.broadcastService = io ? new BroadcastService(io) : null;
+    this.intervalMs = (parseInt(process.env.SESSION_AUTO_END_INTERVAL_SECONDS) ||
+      DEFAULTS.SESSION_AUTO_END_INTERVAL_SECONDS) * 1000;
+    this.leaseMs = (parseInt(process.env.SESSION_END_LEASE_SECONDS) ||
+      DEFAULTS.SESSION_END_LEASE_SECONDS) * 1000;
+    // Identifies this process when claiming sessions (unique across instances and restarts)
+    this.instanceId = process.env.INSTANCE_ID ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
   }
 
-  // Start auto-end job
+  // Start auto-end job. Sessions end on their own timers; the periodic sweep is a
+  // safety net for sessions whose timer lives on another instance or was missed.
   start() {
     if (this.intervalId) {
       console.log('Auto-end job already running');
       return;
     }
 
-    console.log('Starting session auto-end job...');
-    
-    // Check every minute for sessions ending soon
+    console.log(`Starting session auto-end job (instance ${this.instanceId})...`);
+
+    sessionScheduler.setHandler(sessionId => this.endDueSession(sessionId));
+    sessionScheduler.setReadyCheckHandler(sessionId => this.expireReadyCheck(sessionId));
+    sessionScheduler.rehydrate()
+      .then(count => console.log(`Armed end timers for ${count} live session(s)`))
+      .catch(error => console.error('Error arming session end timers:', error));
+
     this.intervalId = setInterval(async () => {
       await this.checkAndEndSessions();
-    }, 60000); // Check every minute
+      await this.checkExpiredLobbies();
+      await this.checkExpiredReadyChecks();
+    }, this.intervalMs);
   }
 
-  // Check and end sessions
+  // End one session whose timer fired, if no other instance has claimed it
+  async endDueSession(sessionId) {
+    const session = await GameSession.claimToEnd(this.instanceId, this.leaseMs, { sessionId });
+    if (!session) {
+      return;
+    }
+
+    if (!(await this.endClaimedSession(session))) {
+      // Leave it to the next sweep
+      await GameSession.releaseEndLease(session._id, this.instanceId);
+    }
+  }
+
+  // Sweep for sessions past their end time. Every instance runs this; a session is
+  // only ended by the instance that claims its end lease.
   async checkAndEndSessions() {
+    // Skip the tick if the previous run is still going
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+    const failed = [];
+    try {
+      let session;
+      while ((session = await GameSession.claimToEnd(this.instanceId, this.leaseMs))) {
+        if (!(await this.endClaimedSession(session))) {
+          failed.push(session._id);
+        }
+      }
+
+      // Let failed sessions be claimed again on the next run (not in this loop)
+      for (const sessionId of failed) {
+        await GameSession.releaseEndLease(sessionId, this.instanceId);
+      }
+    } catch (error) {
+      console.error('Error in auto-end job:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // End a session this instance holds the end lease for. Returns false if it should be retried.
+  async endClaimedSession(session) {
+    try {
+      console.log(`Ending session ${session.sessionId} (claimed by ${this.instanceId})...`);
+
+      // End session and process rewards as the system (no user)
+      await sessionService.endSessionAndProcessRewards(
+        session._id,
+        null,
+        this.broadcastService,
+        { leaseOwner: this.instanceId }
+      );
+
+      console.log(`Session ${session.sessionId} ended successfully`);
+      return true;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        // Ended manually or by another instance in the meantime
+        console.log(`Session ${session.sessionId} not ended by this instance: ${error.message}`);
+        return true;
+      }
+
+      console.error(`Error ending session ${session.sessionId}:`, error);
+      return false;
+    }
+  }
+
+  // Start or cancel WAITING sessions whose lobby timed out
+  async checkExpiredLobbies() {
+    if (this.isCheckingLobbies) {
+      return;
+    }
+
+    this.isCheckingLobbies = true;
     try {
-      // Find sessions that should end now (scheduledEndTime <= now)
-      const now = new Date();
-      const sessionsToEnd = await GameSession.find({
-        status: SESSION_STATUS.LIVE,
-        scheduledEndTime: { $lte: now }
-      }).populate('creatorId', 'username');
-
-      if (sessionsToEnd.length === 0) {
-        return;
+      let session;
+      while ((session = await GameSession.claimExpiredLobby(this.leaseMs))) {
+        try {
+          const outcome = await sessionService.handleLobbyTimeout(session._id, this.broadcastService);
+          if (outcome) {
+            console.log(`Lobby of session ${session.sessionId} timed out: ${outcome.action}`);
+          }
+        } catch (error) {
+          // The claim expires after the lease, so the session is retried later
+          console.error(`Error handling lobby timeout of session ${session.sessionId}:`, error);
+        }
       }
+    } catch (error) {
+      console.error('Error checking expired lobbies:', error);
+    } finally {
+      this.isCheckingLobbies = false;
+    }
+  }
 
-      console.log(`Found ${sessionsToEnd.length} session(s) to end`);
+  // Close a ready check whose deadline passed (finishing it is atomic across instances)
+  async expireReadyCheck(sessionId) {
+    const outcome = await sessionService.expireReadyCheck(sessionId, this.broadcastService);
+    if (outcome) {
+      console.log(`Ready check of session ${sessionId} expired: ${outcome.action}`);
+    }
+  }
 
-      // Process each session
-      for (const session of sessionsToEnd) {
+  // Safety net for ready checks whose timer was lost (e.g. in a restart)
+  async checkExpiredReadyChecks() {
+    try {
+      const sessions = await GameSession.findExpiredReadyChecks();
+      for (const session of sessions) {
         try {
-          console.log(`Ending session ${session.sessionId}...`);
-          
-          // End session and process rewards
-          await sessionService.endSessionAndProcessRewards(
-            session._id,
-            session.creatorId._id,
-            this.broadcastService
-          );
-
-          console.log(`Session ${session.sessionId} ended successfully`);
+          await this.expireReadyCheck(session._id);
         } catch (error) {
-          console.error(`Error ending session ${session.sessionId}:`, error);
-          // Continue with other sessions even if one fails
+          console.error(`Error expiring ready check of session ${session.sessionId}:`, error);
         }
       }
     } catch (error) {
-      console.error('Error in auto-end job:', error);
+      console.error('Error checking expired ready checks:', error);
     }
   }
 
@@ -69,10 +171,12 @@ class SessionAutoEndService {
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = null;
+      sessionScheduler.setHandler(null);
+      sessionScheduler.setReadyCheckHandler(null);
+      sessionScheduler.cancelAll();
       console.log('Session auto-end job stopped');
     }
   }
 }
 
 module.exports = SessionAutoEndService;
-
@@ -0,0 +1,78 @@
+const GameSession = require('../models/GameSession');
+const sessionScheduler = require('./sessionScheduler.service');
+const BroadcastService = require('./broadcast.service');
+const { SESSION_STATUS, DEFAULTS } = require('../utils/constants');
+
+class SessionCountdownService {
+  constructor(io) {
+    this.io = io;
+    this.intervalId = null;
+    this.isTicking = false;
+    this.broadcastService = io ? new BroadcastService(io) : null;
+    this.intervalMs = (parseInt(process.env.TIME_REMAINING_INTERVAL_SECONDS) ||
+      DEFAULTS.TIME_REMAINING_INTERVAL_SECONDS) * 1000;
+  }
+
+  // Start countdown broadcasts (time_remaining ticks and time_warning at the configured marks)
+  start() {
+    if (this.intervalId) {
+      console.log('Session countdown already running');
+      return;
+    }
+
+    console.log('Starting session countdown...');
+
+    sessionScheduler.setWarningHandler(({ sessionId, secondsRemaining, scheduledEndTime }) => {
+      if (this.broadcastService) {
+        this.broadcastService.notifyTimeWarning(sessionId, secondsRemaining, scheduledEndTime);
+      }
+    });
+
+    this.intervalId = setInterval(async () => {
+      await this.tick();
+    }, this.intervalMs);
+  }
+
+  // Broadcast the time left in every live session with players connected here
+  async tick() {
+    if (this.isTicking || !this.broadcastService) {
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      const sessions = await GameSession.find({
+        status: { $in: [SESSION_STATUS.LIVE, SESSION_STATUS.PAUSED] },
+        scheduledEndTime: { $ne: null }
+      }).select('sessionId status scheduledEndTime');
+
+      // Drops timers of sessions ended or cancelled on another instance
+      sessionScheduler.retain(sessions.map(session => session.sessionId));
+
+      for (const session of sessions) {
+        // Picks up sessions started, paused, resumed or extended on another instance
+        sessionScheduler.schedule(session);
+
+        if (session.status === SESSION_STATUS.LIVE && this.broadcastService.hasSessionRoom(session.sessionId)) {
+          this.broadcastService.notifyTimeRemaining(session.sessionId, session.scheduledEndTime);
+        }
+      }
+    } catch (error) {
+      console.error('Error in session countdown:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  // Stop countdown broadcasts
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      sessionScheduler.setWarningHandler(null);
+      console.log('Session countdown stopped');
+    }
+  }
+}
+
+module.exports = SessionCountdownService;
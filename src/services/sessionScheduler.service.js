@@ -0,0 +1,194 @@
+const GameSession = require('../models/GameSession');
+const { SESSION_STATUS, DEFAULTS } = require('../utils/constants');
+
+// setTimeout cannot wait longer than this (about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+class SessionSchedulerService {
+  constructor() {
+    // Armed timers by session UUID: { timeoutId, warningIds, endTime }
+    this.timers = new Map();
+    // Ready check deadlines by session UUID
+    this.readyCheckTimers = new Map();
+    this.handler = null;
+    this.warningHandler = null;
+    this.readyCheckHandler = null;
+    // Seconds before the end at which players are warned, e.g. "60,10"
+    this.warningSeconds = process.env.SESSION_TIME_WARNINGS_SECONDS !== undefined
+      ? process.env.SESSION_TIME_WARNINGS_SECONDS.split(',').map(Number).filter(n => n > 0)
+      : DEFAULTS.SESSION_TIME_WARNINGS_SECONDS;
+  }
+
+  // Set what runs when a session's end time is reached (called with the session's _id)
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  // Set what runs at each warning time (called with { sessionId, secondsRemaining, scheduledEndTime })
+  setWarningHandler(handler) {
+    this.warningHandler = handler;
+  }
+
+  // Set what runs when a ready check runs out (called with the session's _id)
+  setReadyCheckHandler(handler) {
+    this.readyCheckHandler = handler;
+  }
+
+  // Arm the deadline of a session's ready check
+  scheduleReadyCheck(session) {
+    this.cancelReadyCheck(session.sessionId);
+
+    if (!session.readyCheck || !session.readyCheck.expiresAt) {
+      return;
+    }
+
+    const delay = Math.max(new Date(session.readyCheck.expiresAt).getTime() - Date.now(), 0);
+    const timeoutId = setTimeout(async () => {
+      this.readyCheckTimers.delete(session.sessionId);
+      if (!this.readyCheckHandler) {
+        return;
+      }
+      try {
+        await this.readyCheckHandler(session._id);
+      } catch (error) {
+        console.error(`Error expiring ready check of session ${session.sessionId}:`, error);
+      }
+    }, delay);
+    timeoutId.unref();
+
+    this.readyCheckTimers.set(session.sessionId, timeoutId);
+  }
+
+  cancelReadyCheck(sessionId) {
+    const timeoutId = this.readyCheckTimers.get(sessionId);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      this.readyCheckTimers.delete(sessionId);
+    }
+  }
+
+  // Arm (or re-arm) the end timer of a LIVE session at its scheduledEndTime
+  schedule(session) {
+    if (session.status !== SESSION_STATUS.LIVE || !session.scheduledEndTime) {
+      this.cancel(session.sessionId);
+      return;
+    }
+
+    const endTime = new Date(session.scheduledEndTime).getTime();
+    const existing = this.timers.get(session.sessionId);
+    if (existing && existing.endTime === endTime) {
+      return;
+    }
+
+    this.cancel(session.sessionId);
+
+    const delay = Math.min(Math.max(endTime - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    const timeoutId = setTimeout(() => this.fire(session._id, session.sessionId, endTime), delay);
+    // Pending end timers should not keep the process alive on shutdown
+    timeoutId.unref();
+
+    // Warnings already in the past (e.g. after a restart) are skipped; ones too far
+    // ahead are armed when the end timer is re-armed
+    const warningIds = this.warningSeconds
+      .map(seconds => ({ seconds, warningDelay: endTime - seconds * 1000 - Date.now() }))
+      .filter(({ warningDelay }) => warningDelay > 0 && warningDelay <= MAX_TIMER_DELAY_MS)
+      .map(({ seconds, warningDelay }) => {
+        const warningId = setTimeout(() => this.warn(session._id, session.sessionId, seconds, endTime), warningDelay);
+        warningId.unref();
+        return warningId;
+      });
+
+    this.timers.set(session.sessionId, { timeoutId, warningIds, endTime });
+  }
+
+  async warn(sessionObjectId, sessionId, secondsRemaining, endTime) {
+    if (!this.warningHandler) {
+      return;
+    }
+
+    try {
+      // Every instance arms the warning timers; only the one that claims a warning sends it
+      const claimed = await GameSession.claimTimeWarning(sessionObjectId, secondsRemaining, new Date(endTime));
+      if (!claimed) {
+        return;
+      }
+
+      this.warningHandler({ sessionId, secondsRemaining, scheduledEndTime: new Date(endTime) });
+    } catch (error) {
+      console.error(`Error sending time warning for session ${sessionId}:`, error);
+    }
+  }
+
+  async fire(sessionObjectId, sessionId, endTime) {
+    // Very long sessions need more than one timeout
+    if (Date.now() < endTime) {
+      this.cancel(sessionId);
+      this.schedule({ _id: sessionObjectId, sessionId, status: SESSION_STATUS.LIVE, scheduledEndTime: endTime });
+      return;
+    }
+
+    this.timers.delete(sessionId);
+
+    if (!this.handler) {
+      return;
+    }
+
+    try {
+      await this.handler(sessionObjectId);
+    } catch (error) {
+      console.error(`Error ending session ${sessionId} on its timer:`, error);
+    }
+  }
+
+  // Disarm a session's end timer (ended manually, cancelled, ...)
+  cancel(sessionId) {
+    const timer = this.timers.get(sessionId);
+    if (timer) {
+      this.clearTimer(timer);
+      this.timers.delete(sessionId);
+    }
+  }
+
+  // Disarm timers of every session not in sessionIds (ended or cancelled elsewhere)
+  retain(sessionIds) {
+    const keep = new Set(sessionIds);
+    for (const sessionId of Array.from(this.timers.keys())) {
+      if (!keep.has(sessionId)) {
+        this.cancel(sessionId);
+      }
+    }
+  }
+
+  cancelAll() {
+    for (const timer of this.timers.values()) {
+      this.clearTimer(timer);
+    }
+    this.timers.clear();
+
+    for (const timeoutId of this.readyCheckTimers.values()) {
+      clearTimeout(timeoutId);
+    }
+    this.readyCheckTimers.clear();
+  }
+
+  clearTimer(timer) {
+    clearTimeout(timer.timeoutId);
+    timer.warningIds.forEach(warningId => clearTimeout(warningId));
+  }
+
+  // Arm timers for every LIVE session in the database (e.g. after a restart)
+  async rehydrate() {
+    const sessions = await GameSession.find({
+      status: SESSION_STATUS.LIVE,
+      scheduledEndTime: { $ne: null }
+    }).select('sessionId status scheduledEndTime');
+
+    for (const session of sessions) {
+      this.schedule(session);
+    }
+
+    return sessions.length;
+  }
+}
+
+module.exports = new SessionSchedulerService();
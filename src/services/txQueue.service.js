@@ -0,0 +1,415 @@
+const os = require('os');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const WalletNonce = require('../models/WalletNonce');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// Broadcast errors after which the transaction is known not to be in the mempool
+const REJECTED_ERROR_CODES = ['INSUFFICIENT_FUNDS', 'CALL_EXCEPTION', 'INVALID_ARGUMENT'];
+
+// How often to retry while another instance holds the wallet's nonce lease
+const LEASE_RETRY_MS = 250;
+
+// Gas for a plain transfer, used by the self-transfers that fill nonce gaps
+const FILLER_GAS_LIMIT = 21000n;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toBigInt = (value) => (value === null || value === undefined ? null : BigInt(value));
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+class TransactionQueue {
+  constructor({ network, chainId, provider, wallet, pollIntervalMs, stuckAfterMs, gasBumpPercent, maxGasBumps, waitTimeoutMs, nonceLeaseMs }) {
+    this.network = network;
+    this.chainId = chainId;
+    this.provider = provider;
+    this.wallet = wallet;
+    this.pollIntervalMs = pollIntervalMs;
+    this.stuckAfterMs = stuckAfterMs;
+    this.gasBumpPercent = gasBumpPercent;
+    this.maxGasBumps = maxGasBumps;
+    this.waitTimeoutMs = waitTimeoutMs;
+    this.nonceLeaseMs = nonceLeaseMs;
+    // Identifies this process when taking the wallet's nonce lease
+    this.instanceId = process.env.INSTANCE_ID ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    // Tail of the serialized send queue
+    this.tail = Promise.resolve();
+  }
+
+  // Run a task after every previously queued task has finished
+  enqueue(task) {
+    const run = this.tail.then(() => task());
+    this.tail = run.catch(() => {});
+    return run;
+  }
+
+  // Send a transaction and wait for it to be mined. If the reward already has a
+  // transaction in flight (e.g. a retry after a timeout), wait for that one instead
+  // of paying twice.
+  async sendAndWait({ to, data, rewardId = null }) {
+    let record = rewardId ? await WalletTransaction.findActiveForReward(rewardId) : null;
+
+    if (!record) {
+      // Nonce allocation, signing and broadcast are serialized (across instances too,
+      // through the wallet's nonce lease); waiting is not
+      record = await this.enqueue(() => this.withNonceLease(() => this.broadcastNew({ to, data, rewardId })));
+    }
+
+    return this.waitForMined(record);
+  }
+
+  // Run a task holding the wallet's nonce lease. Every instance sends from the same
+  // wallet, and gap repair moves the counter back, so only one may touch it at a time.
+  async withNonceLease(task) {
+    const from = this.wallet.address;
+    const deadline = Date.now() + this.nonceLeaseMs;
+
+    while (!(await WalletNonce.acquireLease(this.network, from, this.instanceId, this.nonceLeaseMs))) {
+      // A crashed holder's lease runs out within nonceLeaseMs
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for the nonce lease of ${from} on ${this.network}`);
+      }
+      await sleep(LEASE_RETRY_MS);
+    }
+
+    try {
+      return await task();
+    } finally {
+      await WalletNonce.releaseLease(this.network, from, this.instanceId);
+    }
+  }
+
+  // Allocate a nonce, sign and broadcast a new transaction
+  async broadcastNew({ to, data, rewardId }) {
+    const from = this.wallet.address;
+
+    // Estimate first so a transfer that would revert never consumes a nonce
+    const gasLimit = await this.provider.estimateGas({ from, to, data });
+    const fees = await this.getNetworkFees();
+
+    const chainPendingNonce = await this.repairNonceGaps();
+    const nonce = await WalletNonce.allocate(this.network, from, chainPendingNonce);
+
+    let signed;
+    try {
+      signed = await this.sign({ to, data, nonce, gasLimit, fees });
+    } catch (error) {
+      await WalletNonce.release(this.network, from, nonce);
+      throw error;
+    }
+
+    // If the lease ran out another instance may have repaired the counter since; the
+    // unused nonce is filled by the next repair
+    if (!(await WalletNonce.holdsLease(this.network, from, this.instanceId))) {
+      throw new Error(`Lost the nonce lease of ${from} on ${this.network} before broadcasting nonce ${nonce}`);
+    }
+
+    // Persist before broadcasting so a crash never loses track of a sent transaction
+    const record = await WalletTransaction.create({
+      network: this.network,
+      fromAddress: from,
+      nonce,
+      rewardId,
+      to,
+      data,
+      gasLimit: gasLimit.toString(),
+      ...this.serializeFees(fees),
+      currentTxHash: signed.hash,
+      rawTransaction: signed.rawTransaction,
+      txHashes: [signed.hash],
+      lastBroadcastAt: new Date()
+    });
+
+    try {
+      await this.provider.broadcastTransaction(signed.rawTransaction);
+    } catch (error) {
+      if (error.code === 'NONCE_EXPIRED') {
+        // Nonce was taken outside this counter; the next allocation resyncs from the chain
+        await record.markDropped(error.shortMessage || error.message);
+        throw error;
+      }
+      if (REJECTED_ERROR_CODES.includes(error.code)) {
+        // Nothing reached the mempool: free the nonce for the next transfer
+        await record.markDropped(error.shortMessage || error.message);
+        await WalletNonce.release(this.network, from, nonce);
+        throw error;
+      }
+      // Anything else (timeouts, RPC hiccups) may still have been accepted;
+      // waitForMined rebroadcasts if the node does not know the transaction
+      console.error(`Broadcast of ${signed.hash} (nonce ${nonce}) failed, will retry:`, error.message);
+    }
+
+    return record;
+  }
+
+  // Fill nonces the wallet skipped and move the counter back to the last nonce in use.
+  // A nonce allocated but never broadcast (a crash before the transaction was stored,
+  // or a release after a later allocation) leaves a hole the node waits on forever,
+  // holding up every later transaction. Returns the chain's pending nonce.
+  async repairNonceGaps() {
+    const from = this.wallet.address;
+
+    // Nonces below the pending count are mined or waiting in the node's mempool
+    const chainPendingNonce = await this.provider.getTransactionCount(from, 'pending');
+    const usedNonces = await WalletTransaction.findNoncesInUse(this.network, from, chainPendingNonce);
+    const used = new Set(usedNonces);
+    const highestUsed = usedNonces.length > 0 ? usedNonces[usedNonces.length - 1] : chainPendingNonce - 1;
+
+    for (let nonce = chainPendingNonce; nonce < highestUsed; nonce++) {
+      if (!used.has(nonce)) {
+        await this.broadcastFiller(nonce);
+      }
+    }
+
+    // With nothing outstanding this resyncs the counter with the chain
+    await WalletNonce.reset(this.network, from, highestUsed + 1);
+
+    return chainPendingNonce;
+  }
+
+  // Fill a skipped nonce with a 0-value transfer to the wallet itself
+  async broadcastFiller(nonce) {
+    const from = this.wallet.address;
+    const fees = await this.getNetworkFees();
+    const signed = await this.sign({ to: from, data: '0x', nonce, gasLimit: FILLER_GAS_LIMIT, fees });
+
+    console.warn(`Filling skipped nonce ${nonce} with self-transfer ${signed.hash}`);
+
+    const record = await WalletTransaction.recordFiller(this.network, from, nonce, {
+      to: from,
+      data: '0x',
+      gasLimit: FILLER_GAS_LIMIT.toString(),
+      ...this.serializeFees(fees),
+      currentTxHash: signed.hash,
+      rawTransaction: signed.rawTransaction,
+      txHashes: [signed.hash],
+      lastBroadcastAt: new Date()
+    });
+
+    await this.tryBroadcast(signed.rawTransaction);
+
+    // Watched like any transfer, so it is rebroadcast or bumped if it gets stuck
+    this.waitForMined(record).catch(error => {
+      console.error(`Nonce filler ${record.currentTxHash} (nonce ${nonce}) failed:`, error.message);
+    });
+  }
+
+  // Poll until one of the record's hashes is mined, replacing it with higher gas if it gets stuck
+  async waitForMined(record) {
+    if (record.status === 'MINED') {
+      return { txHash: record.minedTxHash, blockNumber: record.blockNumber };
+    }
+
+    const deadline = Date.now() + this.waitTimeoutMs;
+
+    while (true) {
+      const receipt = await this.findReceipt(record);
+      if (receipt) {
+        const succeeded = receipt.status === 1;
+        await record.markMined(receipt.hash, receipt.blockNumber, succeeded, receipt.blockHash);
+        if (!succeeded) {
+          throw new Error(`Token transfer reverted: ${receipt.hash}`);
+        }
+        return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+      }
+
+      // Our nonce was consumed by a transaction we did not send
+      const latestNonce = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+      if (latestNonce > record.nonce && !(await this.findReceipt(record))) {
+        await record.markDropped('Nonce used by another transaction');
+        throw new Error(`Transaction ${record.currentTxHash} was dropped: nonce ${record.nonce} used by another transaction`);
+      }
+
+      if (Date.now() - record.lastBroadcastAt.getTime() >= this.stuckAfterMs) {
+        await this.unstick(record);
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Transaction ${record.currentTxHash} still pending after ${this.waitTimeoutMs / 1000}s`);
+      }
+
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  // Check how deep a reward's transfer is buried, following reorgs and replacements.
+  // Returns a status of mined, pending, reverted, dropped or not_found.
+  async getConfirmations(rewardId) {
+    const record = await WalletTransaction.findActiveForReward(rewardId);
+    if (!record) {
+      return { status: 'not_found' };
+    }
+
+    const receipt = await this.findReceipt(record);
+    if (receipt) {
+      if (receipt.status !== 1) {
+        await record.markMined(receipt.hash, receipt.blockNumber, false, receipt.blockHash);
+        return { status: 'reverted', txHash: receipt.hash };
+      }
+
+      // Re-mined in another block, or a replacement won after a reorg
+      if (receipt.hash !== record.minedTxHash || receipt.blockHash !== record.blockHash) {
+        await record.markMined(receipt.hash, receipt.blockNumber, true, receipt.blockHash);
+      }
+
+      const headBlock = await this.getHeadBlock();
+      return {
+        status: 'mined',
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        confirmations: Math.max(0, headBlock - receipt.blockNumber + 1)
+      };
+    }
+
+    // In no block: reorged out, or the nonce went to another transaction
+    const latestNonce = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+    if (latestNonce > record.nonce && !(await this.findReceipt(record))) {
+      await record.markDropped('Nonce used by another transaction');
+      return { status: 'dropped', txHash: record.currentTxHash };
+    }
+
+    if (record.status === 'MINED') {
+      console.warn(`Transaction ${record.minedTxHash} (nonce ${record.nonce}) was removed from block ${record.blockNumber} by a reorg`);
+      await record.markUnmined();
+    }
+
+    // Nodes usually return reorged transactions to the mempool; make sure ours is there
+    if (!(await this.provider.getTransaction(record.currentTxHash))) {
+      await this.tryBroadcast(record.rawTransaction);
+    }
+
+    return { status: 'pending', txHash: record.currentTxHash };
+  }
+
+  // Latest block number straight from the node (ethers' getBlockNumber can lag behind)
+  async getHeadBlock() {
+    return Number(await this.provider.send('eth_blockNumber', []));
+  }
+
+  // Return the receipt of whichever broadcast hash was mined, if any
+  async findReceipt(record) {
+    for (const txHash of record.txHashes) {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  // Rebroadcast a transaction the node forgot, or replace it with higher gas
+  async unstick(record) {
+    const known = await this.provider.getTransaction(record.currentTxHash);
+
+    if (!known || record.bumpCount >= this.maxGasBumps) {
+      console.log(`Rebroadcasting ${record.currentTxHash} (nonce ${record.nonce})`);
+      record.lastBroadcastAt = new Date();
+      await record.save();
+      await this.tryBroadcast(record.rawTransaction);
+      return;
+    }
+
+    const fees = await this.getBumpedFees(record);
+    const signed = await this.sign({
+      to: record.to,
+      data: record.data,
+      nonce: record.nonce,
+      gasLimit: BigInt(record.gasLimit),
+      fees
+    });
+
+    console.log(`Replacing stuck ${record.currentTxHash} with ${signed.hash} (nonce ${record.nonce}, bump ${record.bumpCount + 1})`);
+
+    // Save first: receipts are checked for every recorded hash
+    await record.recordReplacement(signed, this.serializeFees(fees));
+    await this.tryBroadcast(signed.rawTransaction);
+  }
+
+  // Broadcast, logging instead of failing (the wait loop decides what happens next)
+  async tryBroadcast(rawTransaction) {
+    try {
+      await this.provider.broadcastTransaction(rawTransaction);
+    } catch (error) {
+      console.error('Rebroadcast failed:', error.shortMessage || error.message);
+    }
+  }
+
+  // Current network fees (EIP-1559 when supported, legacy gas price otherwise)
+  async getNetworkFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+        gasPrice: null
+      };
+    }
+
+    return {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasPrice: feeData.gasPrice
+    };
+  }
+
+  // Fees for a replacement: previous fees bumped by gasBumpPercent, never below the network's
+  async getBumpedFees(record) {
+    const networkFees = await this.getNetworkFees();
+    const bump = (value) => (value * BigInt(100 + this.gasBumpPercent)) / 100n;
+
+    if (record.maxFeePerGas) {
+      return {
+        maxFeePerGas: maxBigInt(bump(toBigInt(record.maxFeePerGas)), networkFees.maxFeePerGas || 0n),
+        maxPriorityFeePerGas: maxBigInt(bump(toBigInt(record.maxPriorityFeePerGas)), networkFees.maxPriorityFeePerGas || 0n),
+        gasPrice: null
+      };
+    }
+
+    return {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasPrice: maxBigInt(bump(toBigInt(record.gasPrice)), networkFees.gasPrice || 0n)
+    };
+  }
+
+  // Sign a transaction with explicit nonce and fees
+  async sign({ to, data, nonce, gasLimit, fees }) {
+    const request = {
+      chainId: this.chainId,
+      to,
+      data,
+      nonce,
+      gasLimit,
+      value: 0n
+    };
+
+    if (fees.maxFeePerGas !== null) {
+      request.type = 2;
+      request.maxFeePerGas = fees.maxFeePerGas;
+      request.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    } else {
+      request.type = 0;
+      request.gasPrice = fees.gasPrice;
+    }
+
+    const rawTransaction = await this.wallet.signTransaction(request);
+    return {
+      hash: ethers.keccak256(rawTransaction),
+      rawTransaction
+    };
+  }
+
+  serializeFees(fees) {
+    return {
+      maxFeePerGas: fees.maxFeePerGas !== null ? fees.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas !== null ? fees.maxPriorityFeePerGas.toString() : null,
+      gasPrice: fees.gasPrice !== null ? fees.gasPrice.toString() : null
+    };
+  }
+}
+
+module.exports = TransactionQueue;
@@ -0,0 +1,103 @@
+const User = require('../models/User');
+const authService = require('./auth.service');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { USER_ROLE } = require('../utils/constants');
+
+class UserService {
+  // List users (admin)
+  async listUsers({ role = null, isActive = null, limit = 50 } = {}) {
+    const query = {};
+
+    if (role) {
+      query.role = role;
+    }
+    if (isActive !== null && isActive !== undefined) {
+      query.isActive = isActive;
+    }
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    return users.map(user => this.formatUserData(user));
+  }
+
+  // Deactivate a user and revoke all of their auth sessions
+  async deactivateUser(userId, actorId, reason = null, broadcastService = null) {
+    if (userId.toString() === actorId.toString()) {
+      throw new ValidationError('You cannot deactivate your own account');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (user.isActive) {
+      await user.deactivate(reason);
+    }
+
+    // Sign the user out everywhere, including live sockets
+    await authService.revokeAllSessions(user._id, broadcastService, 'user_deactivated');
+
+    return this.formatUserData(user);
+  }
+
+  // Reactivate a user
+  async activateUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (!user.isActive) {
+      await user.activate();
+    }
+
+    return this.formatUserData(user);
+  }
+
+  // Change a user's role
+  async setRole(userId, role, actorId) {
+    if (!Object.values(USER_ROLE).includes(role)) {
+      throw new ValidationError(`Role must be one of: ${Object.values(USER_ROLE).join(', ')}`);
+    }
+
+    if (userId.toString() === actorId.toString()) {
+      throw new ValidationError('You cannot change your own role');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    user.role = role;
+    await user.save();
+
+    return this.formatUserData(user);
+  }
+
+  // Format user data for admin responses
+  formatUserData(user) {
+    const userObj = user.toObject ? user.toObject() : user;
+
+    return {
+      _id: userObj._id,
+      username: userObj.username,
+      walletAddress: userObj.walletAddress,
+      role: userObj.role,
+      isActive: userObj.isActive,
+      deactivatedAt: userObj.deactivatedAt,
+      deactivationReason: userObj.deactivationReason,
+      totalSessionsJoined: userObj.totalSessionsJoined,
+      totalSessionsWon: userObj.totalSessionsWon,
+      totalTokensEarned: userObj.totalTokensEarned,
+      lastLoginAt: userObj.lastLoginAt,
+      createdAt: userObj.createdAt
+    };
+  }
+}
+
+module.exports = new UserService();
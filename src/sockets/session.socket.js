@@ -1,11 +1,25 @@
 const { authenticateSocket } = require('../middlewares/auth.middleware');
 const BroadcastService = require('../services/broadcast.service');
+const authService = require('../services/auth.service');
 const sessionService = require('../services/session.service');
-const { SOCKET_EVENTS, ERROR_CODES } = require('../utils/constants');
+const { SOCKET_EVENTS, ERROR_CODES, SCORE_EVENT_TYPE, DEFAULTS } = require('../utils/constants');
+const {
+  isValidExtension,
+  isValidReason,
+  isValidObjectId,
+  isValidPlayerScoreEventType,
+  isValidTaskId,
+  isValidTaskProof
+} = require('../utils/validators');
 const User = require('../models/User');
 
+// Longest delay setTimeout accepts (2^31 - 1 ms, about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
 module.exports = (io) => {
   const broadcastService = new BroadcastService(io);
+  const socketScoreUpdatesPerSecond = parseInt(process.env.SOCKET_SCORE_UPDATES_PER_SECOND) ||
+    DEFAULTS.SOCKET_SCORE_UPDATES_PER_SECOND;
   
   // Socket authentication middleware
   io.use(authenticateSocket);
@@ -16,8 +30,84 @@ module.exports = (io) => {
     // Store user sessions for this socket
     const userSessions = new Set();
     
+    // Sessions this socket is spectating (by session UUID)
+    const spectating = new Set();
+    
+    // Score updates seen in the current one-second window. Floods are dropped here,
+    // before reaching the database; the session's own limits are enforced (and
+    // violations recorded) by the session service.
+    let scoreWindowStart = 0;
+    let scoreWindowCount = 0;
+    
+    // Exposed to fetchSockets() so spectators can be counted per user across instances
+    socket.data.userId = socket.userId;
+    
+    // Join per-user and per-auth-session rooms so revocations can reach this socket
+    socket.join(BroadcastService.userRoom(socket.userId));
+    socket.join(BroadcastService.authSessionRoom(socket.authSessionId));
+    
+    // Disconnect the socket when its access token expires, unless it re-authenticates first.
+    // setTimeout overflows past MAX_TIMER_DELAY_MS (firing at once), so long-lived tokens
+    // are waited out in steps.
+    let authExpiryTimer = null;
+    const armAuthExpiry = () => {
+      clearTimeout(authExpiryTimer);
+      const remainingMs = Math.max(0, socket.tokenExpiresAt - Date.now());
+      authExpiryTimer = setTimeout(() => {
+        if (socket.tokenExpiresAt > Date.now()) {
+          return armAuthExpiry();
+        }
+        socket.emit(SOCKET_EVENTS.AUTH_EXPIRED, {
+          message: 'Token expired',
+          timestamp: new Date().toISOString()
+        });
+        socket.disconnect(true);
+      }, Math.min(remainingMs, MAX_TIMER_DELAY_MS));
+    };
+    armAuthExpiry();
+    
+    // Let the client correct for clock skew from the start
+    broadcastService.sendServerTime(socket);
+    
+    // Re-authenticate with a refreshed access token
+    socket.on(SOCKET_EVENTS.REAUTHENTICATE, async ({ token } = {}) => {
+      try {
+        if (!token) {
+          return broadcastService.sendError(socket, 'Token is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        const decoded = await authService.verifyAccessToken(token);
+
+        if (decoded.userId !== socket.userId) {
+          return broadcastService.sendError(socket, 'Token belongs to a different user', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        if (decoded.sid !== socket.authSessionId) {
+          socket.leave(BroadcastService.authSessionRoom(socket.authSessionId));
+          socket.join(BroadcastService.authSessionRoom(decoded.sid));
+          socket.authSessionId = decoded.sid;
+        }
+
+        socket.tokenExpiresAt = decoded.exp * 1000;
+        armAuthExpiry();
+
+        socket.emit(SOCKET_EVENTS.REAUTHENTICATED, {
+          expiresAt: new Date(socket.tokenExpiresAt).toISOString(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        let message = error.message || 'Invalid token';
+        if (error.name === 'TokenExpiredError') {
+          message = 'Token expired';
+        } else if (error.name === 'JsonWebTokenError') {
+          message = 'Invalid token';
+        }
+        broadcastService.sendError(socket, message, ERROR_CODES.AUTHENTICATION_ERROR);
+      }
+    });
+    
     // Join session
-    socket.on(SOCKET_EVENTS.JOIN_SESSION, async ({ sessionId }) => {
+    socket.on(SOCKET_EVENTS.JOIN_SESSION, async ({ sessionId, password, inviteCode, team = null }) => {
       try {
         if (!sessionId) {
           return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
@@ -27,13 +117,28 @@ module.exports = (io) => {
           return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
         }
 
-        // Validate and join via service
-        const session = await sessionService.joinSession(sessionId, socket.userId);
-        
-        // Join Socket.IO room
+        // Join Socket.IO room first so this player also gets session_started if the join starts the session
+        const wasInRoom = socket.rooms.has(sessionId);
         socket.join(sessionId);
+        
+        // Validate and join via service
+        let session;
+        try {
+          session = await sessionService.joinSession(sessionId, socket.userId, broadcastService, { password, inviteCode, team });
+        } catch (error) {
+          if (!wasInRoom) {
+            socket.leave(sessionId);
+          }
+          throw error;
+        }
         userSessions.add(sessionId);
         
+        // A spectator who joins as a player stops counting as a spectator
+        if (spectating.delete(session.sessionId)) {
+          socket.leave(BroadcastService.spectatorRoom(session.sessionId));
+          await broadcastService.notifySpectatorCount(session.sessionId);
+        }
+        
         // Get user info
         const user = await User.findById(socket.userId).select('username walletAddress');
         
@@ -48,16 +153,6 @@ module.exports = (io) => {
         // Broadcast to other players in the session
         broadcastService.notifyPlayerJoined(sessionId, user, session.playerCount);
         
-        // If session just started, notify all players
-        if (session.status === 'LIVE' && session.startTime) {
-          const startTime = new Date(session.startTime);
-          const now = new Date();
-          // Only notify if session started very recently (within 5 seconds)
-          if (now.getTime() - startTime.getTime() < 5000) {
-            broadcastService.notifySessionStarted(sessionId, session);
-          }
-        }
-        
       } catch (error) {
         console.error('Error joining session:', error);
         broadcastService.sendError(
@@ -68,6 +163,83 @@ module.exports = (io) => {
       }
     });
     
+    // Spectate a session: join its room read-only, without becoming a player
+    socket.on(SOCKET_EVENTS.SPECTATE_SESSION, async ({ sessionId, password, inviteCode } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        const session = await sessionService.getSpectatableSession(sessionId, socket.userId, { password, inviteCode });
+        const room = session.sessionId;
+
+        const { maxSpectators } = session.config;
+        if (maxSpectators !== null && maxSpectators !== undefined) {
+          const spectatorIds = await broadcastService.getSpectatorIds(room);
+          if (!spectatorIds.has(socket.userId) && spectatorIds.size >= maxSpectators) {
+            return broadcastService.sendError(socket, 'Spectator limit reached', ERROR_CODES.SESSION_FULL);
+          }
+        }
+
+        socket.join([room, BroadcastService.spectatorRoom(room)]);
+        spectating.add(room);
+
+        const sessionData = await sessionService.getSession(session._id);
+        const spectatorCount = await broadcastService.getSpectatorCount(room);
+
+        socket.emit(SOCKET_EVENTS.SPECTATING, {
+          sessionId: room,
+          playerCount: sessionData.playerCount,
+          spectatorCount,
+          sessionData,
+          timestamp: new Date().toISOString()
+        });
+
+        broadcastService.broadcastToSession(room, SOCKET_EVENTS.SPECTATOR_COUNT, {
+          sessionId: room,
+          spectatorCount
+        });
+      } catch (error) {
+        console.error('Error spectating session:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to spectate session',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Stop spectating a session
+    socket.on(SOCKET_EVENTS.STOP_SPECTATING, async ({ sessionId } = {}) => {
+      try {
+        if (!sessionId || !spectating.has(sessionId)) {
+          return broadcastService.sendError(socket, 'Not spectating this session', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        socket.leave(sessionId);
+        socket.leave(BroadcastService.spectatorRoom(sessionId));
+        spectating.delete(sessionId);
+
+        socket.emit(SOCKET_EVENTS.SESSION_LEFT, {
+          sessionId,
+          timestamp: new Date().toISOString()
+        });
+
+        await broadcastService.notifySpectatorCount(sessionId);
+      } catch (error) {
+        console.error('Error stopping spectating:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to stop spectating',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
     // Leave session
     socket.on(SOCKET_EVENTS.LEAVE_SESSION, async ({ sessionId }) => {
       try {
@@ -112,7 +284,7 @@ module.exports = (io) => {
     });
     
     // Update score
-    socket.on(SOCKET_EVENTS.UPDATE_SCORE, async ({ sessionId, score, tasksCompleted }) => {
+    socket.on(SOCKET_EVENTS.UPDATE_SCORE, async ({ sessionId, type, points, taskId = null, proof = null, reason = null } = {}) => {
       try {
         if (!sessionId) {
           return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
@@ -122,23 +294,44 @@ module.exports = (io) => {
           return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
         }
 
-        if (score === undefined && tasksCompleted === undefined) {
-          return broadcastService.sendError(socket, 'Score or tasksCompleted is required', ERROR_CODES.VALIDATION_ERROR);
+        const now = Date.now();
+        if (now - scoreWindowStart >= 1000) {
+          scoreWindowStart = now;
+          scoreWindowCount = 0;
+        }
+        if (++scoreWindowCount > socketScoreUpdatesPerSecond) {
+          return broadcastService.sendError(socket, 'Too many score updates', ERROR_CODES.RATE_LIMITED);
+        }
+
+        if (!isValidPlayerScoreEventType(type)) {
+          return broadcastService.sendError(
+            socket,
+            `Type must be ${SCORE_EVENT_TYPE.TASK_COMPLETED} or ${SCORE_EVENT_TYPE.POINTS_AWARDED}`,
+            ERROR_CODES.VALIDATION_ERROR
+          );
         }
 
-        // Update via service
-        const playerData = await sessionService.updatePlayerScore(
-          sessionId,
-          socket.userId,
-          score,
-          tasksCompleted
-        );
+        if (taskId !== null && !isValidTaskId(taskId)) {
+          return broadcastService.sendError(socket, 'Invalid task ID format', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (proof !== null && !isValidTaskProof(proof)) {
+          return broadcastService.sendError(socket, 'Proof must be between 1 and 500 characters', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (reason !== null && !isValidReason(reason)) {
+          return broadcastService.sendError(socket, 'Reason must be between 1 and 500 characters', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        // Record the score event via service
+        const playerData = await sessionService.recordScoreEvent(sessionId, socket.userId, { type, points, taskId, proof, reason });
         
-        // Get leaderboard
+        // Get leaderboard (and the team standings if the player is in a team)
         const leaderboard = await sessionService.getLeaderboard(sessionId, 10);
+        const teamLeaderboard = playerData.team ? await sessionService.getTeamLeaderboard(sessionId) : null;
         
         // Broadcast score update
-        broadcastService.notifyScoreUpdate(sessionId, socket.userId, playerData, leaderboard);
+        broadcastService.notifyScoreUpdate(sessionId, socket.userId, playerData, leaderboard, teamLeaderboard);
         
       } catch (error) {
         console.error('Error updating score:', error);
@@ -150,6 +343,213 @@ module.exports = (io) => {
       }
     });
     
+    // Start session or its ready check (creator or admin)
+    socket.on(SOCKET_EVENTS.START_SESSION, async ({ sessionId } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        await sessionService.startSession(sessionId, socket.userId, broadcastService);
+      } catch (error) {
+        console.error('Error starting session:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to start session',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Mark ready during a ready check
+    socket.on(SOCKET_EVENTS.MARK_READY, async ({ sessionId } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        await sessionService.markReady(sessionId, socket.userId, broadcastService);
+      } catch (error) {
+        console.error('Error marking ready:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to mark ready',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Pause session (creator or admin)
+    socket.on(SOCKET_EVENTS.PAUSE_SESSION, async ({ sessionId } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        await sessionService.pauseSession(sessionId, socket.userId, broadcastService);
+      } catch (error) {
+        console.error('Error pausing session:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to pause session',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Resume session (creator or admin)
+    socket.on(SOCKET_EVENTS.RESUME_SESSION, async ({ sessionId } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        await sessionService.resumeSession(sessionId, socket.userId, broadcastService);
+      } catch (error) {
+        console.error('Error resuming session:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to resume session',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Extend session (creator or admin)
+    socket.on(SOCKET_EVENTS.EXTEND_SESSION, async ({ sessionId, minutes } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        if (!isValidExtension(minutes, DEFAULTS.MAX_SESSION_EXTENSION_MINUTES)) {
+          return broadcastService.sendError(
+            socket,
+            `Minutes must be an integer between 1 and ${DEFAULTS.MAX_SESSION_EXTENSION_MINUTES}`,
+            ERROR_CODES.VALIDATION_ERROR
+          );
+        }
+
+        await sessionService.extendSession(sessionId, socket.userId, minutes, broadcastService);
+      } catch (error) {
+        console.error('Error extending session:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to extend session',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Cancel session (creator or admin)
+    socket.on(SOCKET_EVENTS.CANCEL_SESSION, async ({ sessionId, reason = null } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        if (reason !== null && !isValidReason(reason)) {
+          return broadcastService.sendError(socket, 'Reason must be between 1 and 500 characters', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        await sessionService.cancelSession(sessionId, socket.userId, reason, broadcastService);
+        userSessions.delete(sessionId);
+      } catch (error) {
+        console.error('Error cancelling session:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to cancel session',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Pick a team (MANUAL team sessions) or assign a player to one (creator or admin)
+    socket.on(SOCKET_EVENTS.SET_TEAM, async ({ sessionId, team, userId = null } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        if (!Number.isInteger(team) || team < 1) {
+          return broadcastService.sendError(socket, 'Team must be a positive integer', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (userId !== null && !isValidObjectId(userId)) {
+          return broadcastService.sendError(socket, 'Invalid userId format', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        await sessionService.setPlayerTeam(sessionId, socket.userId, userId || socket.userId, team, broadcastService);
+      } catch (error) {
+        console.error('Error setting team:', error);
+        broadcastService.sendError(
+          socket,
+          error.message || 'Failed to set team',
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    });
+    
+    // Kick or ban a player (creator, moderator or admin)
+    const removePlayer = (ban) => async ({ sessionId, userId, reason = null } = {}) => {
+      try {
+        if (!sessionId) {
+          return broadcastService.sendError(socket, 'Session ID is required', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (!socket.userId) {
+          return broadcastService.sendError(socket, 'Authentication required', ERROR_CODES.AUTHENTICATION_ERROR);
+        }
+
+        if (!isValidObjectId(userId)) {
+          return broadcastService.sendError(socket, 'Invalid userId format', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        if (reason !== null && !isValidReason(reason)) {
+          return broadcastService.sendError(socket, 'Reason must be between 1 and 500 characters', ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        await sessionService.removePlayer(sessionId, socket.userId, userId, { ban, reason }, broadcastService);
+      } catch (error) {
+        console.error(`Error ${ban ? 'banning' : 'kicking'} player:`, error);
+        broadcastService.sendError(
+          socket,
+          error.message || `Failed to ${ban ? 'ban' : 'kick'} player`,
+          error.errorCode || ERROR_CODES.INTERNAL_ERROR
+        );
+      }
+    };
+    socket.on(SOCKET_EVENTS.KICK_PLAYER, removePlayer(false));
+    socket.on(SOCKET_EVENTS.BAN_PLAYER, removePlayer(true));
+    
     // Request session data
     socket.on(SOCKET_EVENTS.REQUEST_SESSION_DATA, async ({ sessionId }) => {
       try {
@@ -163,11 +563,14 @@ module.exports = (io) => {
         // Get leaderboard
         const leaderboard = await sessionService.getLeaderboard(sessionId, 10);
         
+        // Spectators are counted from the socket rooms, not the database
+        const spectatorCount = await broadcastService.getSpectatorCount(session.sessionId);
+        
         // Emit session data
         socket.emit(SOCKET_EVENTS.BROADCAST_DATA, {
           type: 'session_data',
           data: {
-            session,
+            session: { ...session, spectatorCount },
             leaderboard
           },
           timestamp: new Date().toISOString()
@@ -183,6 +586,11 @@ module.exports = (io) => {
       }
     });
     
+    // Clock sync: reply with the server time and the client's send time
+    socket.on(SOCKET_EVENTS.SYNC_TIME, ({ clientTime = null } = {}) => {
+      broadcastService.sendServerTime(socket, clientTime);
+    });
+    
     // Ping/Pong heartbeat
     socket.on(SOCKET_EVENTS.PING, () => {
       socket.emit(SOCKET_EVENTS.PONG, {
@@ -194,6 +602,8 @@ module.exports = (io) => {
     socket.on('disconnect', async () => {
       console.log('Socket disconnected:', socket.id, 'User:', socket.userId);
       
+      clearTimeout(authExpiryTimer);
+      
       try {
         // Leave all sessions this socket was in
         for (const sessionId of userSessions) {
@@ -218,6 +628,16 @@ module.exports = (io) => {
         // Clear sessions
         userSessions.clear();
         
+        // Update spectator counts (this socket has already left the rooms)
+        for (const sessionId of spectating) {
+          try {
+            await broadcastService.notifySpectatorCount(sessionId);
+          } catch (error) {
+            console.error(`Error updating spectator count for ${sessionId}:`, error);
+          }
+        }
+        spectating.clear();
+        
       } catch (error) {
         console.error('Error during disconnect cleanup:', error);
       }
@@ -2,15 +2,39 @@
 const SESSION_STATUS = {
   WAITING: 'WAITING',
   LIVE: 'LIVE',
+  PAUSED: 'PAUSED',
   ENDED: 'ENDED',
   CANCELLED: 'CANCELLED'
 };
 
+// Session Visibility
+const SESSION_VISIBILITY = {
+  PUBLIC: 'PUBLIC',
+  UNLISTED: 'UNLISTED',
+  PRIVATE: 'PRIVATE'
+};
+
+// Team Assignment Modes
+const TEAM_ASSIGNMENT = {
+  MANUAL: 'MANUAL', // Players pick their team when joining
+  AUTO_BALANCE: 'AUTO_BALANCE', // Players are put in the smallest team
+  CREATOR: 'CREATOR' // The creator assigns every player
+};
+
+// User Roles
+const USER_ROLE = {
+  PLAYER: 'PLAYER',
+  MODERATOR: 'MODERATOR',
+  ADMIN: 'ADMIN'
+};
+
 // Token Reward Status
 const REWARD_STATUS = {
   PENDING: 'PENDING',
+  SUBMITTED: 'SUBMITTED', // Mined, waiting for the network's confirmation depth
   COMPLETED: 'COMPLETED',
-  FAILED: 'FAILED'
+  FAILED: 'FAILED',
+  RESOLVED: 'RESOLVED'
 };
 
 // Scoring Types
@@ -21,15 +45,66 @@ const SCORING_TYPE = {
   COMBINED: 'COMBINED'
 };
 
+// Score Event Types (players send the first two; SCORE_SET is for trusted server callers)
+const SCORE_EVENT_TYPE = {
+  TASK_COMPLETED: 'TASK_COMPLETED', // Worth the catalogue task's points, or pointsPerTask
+  POINTS_AWARDED: 'POINTS_AWARDED', // Up to maxPointsPerAward, with a reason
+  SCORE_SET: 'SCORE_SET' // Absolute totals
+};
+
+// Score Event Sources
+const SCORE_EVENT_SOURCE = {
+  PLAYER: 'PLAYER',
+  SERVER: 'SERVER'
+};
+
+// Score Violation Types (score events refused by the anti-cheat limits)
+const SCORE_VIOLATION_TYPE = {
+  RATE_LIMIT: 'RATE_LIMIT', // More than maxUpdatesPerSecond
+  SCORE_DELTA: 'SCORE_DELTA', // More than maxPointsPerWindow within windowSeconds
+  NON_MONOTONIC: 'NON_MONOTONIC' // A player event that would lower their totals
+};
+
+// What happens at session end to players with too many violations
+const VIOLATION_ACTION = {
+  NONE: 'NONE',
+  FLAG: 'FLAG', // Marked for review, still ranked and paid
+  DISQUALIFY: 'DISQUALIFY' // Cannot win or receive rewards, ranked last
+};
+
+// Outbox Event Types (side effects committed with session state, dispatched afterwards)
+const OUTBOX_EVENT_TYPE = {
+  DELIVER_REWARD: 'DELIVER_REWARD',
+  SESSION_ENDED: 'SESSION_ENDED'
+};
+
+// Prize Pool Payout Types
+const PAYOUT_TYPE = {
+  WINNER_TAKES_ALL: 'WINNER_TAKES_ALL',
+  TABLE: 'TABLE', // Percentages by place, e.g. [50, 30, 20]
+  EQUAL_SPLIT: 'EQUAL_SPLIT' // Equal shares for the top winnerCount players
+};
+
 // Blockchain Networks
 const BLOCKCHAIN_NETWORK = {
   ETHEREUM: 'ETHEREUM',
   POLYGON: 'POLYGON',
   BSC: 'BSC',
   ARBITRUM: 'ARBITRUM',
+  LOCAL: 'LOCAL', // Local Anvil/Hardhat node
   MOCK: 'MOCK'
 };
 
+// Per-network chain settings (token decimals can be overridden with TOKEN_DECIMALS,
+// confirmations with REWARD_CONFIRMATIONS)
+const NETWORK_CONFIG = {
+  ETHEREUM: { chainId: 1, tokenDecimals: 18, confirmations: 12 },
+  POLYGON: { chainId: 137, tokenDecimals: 18, confirmations: 64 },
+  BSC: { chainId: 56, tokenDecimals: 18, confirmations: 15 },
+  ARBITRUM: { chainId: 42161, tokenDecimals: 18, confirmations: 20 },
+  LOCAL: { chainId: 31337, tokenDecimals: 18, confirmations: 1 }
+};
+
 // Socket Events
 const SOCKET_EVENTS = {
   // Client -> Server
@@ -38,6 +113,19 @@ const SOCKET_EVENTS = {
   UPDATE_SCORE: 'update_score',
   REQUEST_SESSION_DATA: 'request_session_data',
   PING: 'ping',
+  REAUTHENTICATE: 'reauthenticate',
+  SYNC_TIME: 'sync_time',
+  PAUSE_SESSION: 'pause_session',
+  RESUME_SESSION: 'resume_session',
+  EXTEND_SESSION: 'extend_session',
+  CANCEL_SESSION: 'cancel_session',
+  START_SESSION: 'start_session',
+  MARK_READY: 'mark_ready',
+  KICK_PLAYER: 'kick_player',
+  BAN_PLAYER: 'ban_player',
+  SPECTATE_SESSION: 'spectate_session',
+  STOP_SPECTATING: 'stop_spectating',
+  SET_TEAM: 'set_team',
   
   // Server -> Client
   SESSION_JOINED: 'session_joined',
@@ -45,12 +133,29 @@ const SOCKET_EVENTS = {
   BROADCAST_DATA: 'broadcast_data',
   SESSION_STARTED: 'session_started',
   SESSION_ENDED: 'session_ended',
+  SESSION_PAUSED: 'session_paused',
+  SESSION_RESUMED: 'session_resumed',
+  SESSION_EXTENDED: 'session_extended',
+  SESSION_CANCELLED: 'session_cancelled',
+  READY_CHECK_STARTED: 'ready_check_started',
+  PLAYER_READY: 'player_ready',
+  READY_CHECK_FAILED: 'ready_check_failed',
   TOKEN_REWARDED: 'token_rewarded',
   PLAYER_JOINED: 'player_joined',
   PLAYER_LEFT: 'player_left',
+  PLAYER_KICKED: 'player_kicked',
+  SPECTATING: 'spectating',
+  SPECTATOR_COUNT: 'spectator_count',
+  TEAM_CHANGED: 'team_changed',
   SCORE_UPDATED: 'score_updated',
+  TIME_REMAINING: 'time_remaining',
+  TIME_WARNING: 'time_warning',
+  SERVER_TIME: 'server_time',
   ERROR: 'error',
-  PONG: 'pong'
+  PONG: 'pong',
+  REAUTHENTICATED: 'reauthenticated',
+  AUTH_EXPIRED: 'auth_expired',
+  AUTH_REVOKED: 'auth_revoked'
 };
 
 // Error Codes
@@ -63,7 +168,8 @@ const ERROR_CODES = {
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   SESSION_FULL: 'SESSION_FULL',
   SESSION_ENDED: 'SESSION_ENDED',
-  INVALID_SESSION: 'INVALID_SESSION'
+  INVALID_SESSION: 'INVALID_SESSION',
+  RATE_LIMITED: 'RATE_LIMITED'
 };
 
 // Default Values
@@ -71,8 +177,52 @@ const DEFAULTS = {
   SESSION_DURATION: 10, // minutes
   MAX_PLAYERS: 50,
   MIN_PLAYERS_TO_START: 2,
+  LOBBY_TIMEOUT_MINUTES: 30,
+  MAX_LOBBY_TIMEOUT_MINUTES: 1440,
+  READY_CHECK_SECONDS: 30,
   POINTS_PER_TASK: 10,
-  MAX_RETRY_COUNT: 5
+  SESSION_AUTO_END_INTERVAL_SECONDS: 60,
+  SESSION_END_LEASE_SECONDS: 60, // Must outlast the session end transaction
+  SESSION_TIME_WARNINGS_SECONDS: [60, 10],
+  TIME_REMAINING_INTERVAL_SECONDS: 5,
+  MAX_SESSION_EXTENSION_MINUTES: 60, // Per extend request
+  MAX_SESSION_INVITES: 500,
+  MAX_TEAMS: 16,
+  MAX_TEAM_NAME_LENGTH: 30,
+  MAX_SESSION_TASKS: 200,
+  MAX_TASK_COMPLETIONS: 1000,
+  MAX_SCORE_UPDATES_PER_SECOND: 5, // Per player, unless the session sets its own
+  SCORE_WINDOW_SECONDS: 10,
+  VIOLATION_THRESHOLD: 3,
+  SOCKET_SCORE_UPDATES_PER_SECOND: 20, // Per socket, across sessions; excess is dropped unrecorded
+  MAX_PAYOUT_PLACES: 100,
+  MAX_PRIZE_POOL: 10000, // Largest prize pool (tokens) a session may pay
+  TOKEN_AMOUNT_DECIMALS: 6, // Payout shares are rounded down to this precision
+  MAX_RETRY_COUNT: 5,
+  REWARD_RETRY_BASE_DELAY_SECONDS: 30,
+  REWARD_RETRY_MAX_DELAY_SECONDS: 3600,
+  REWARD_PENDING_GRACE_SECONDS: 120, // PENDING rewards older than this are treated as orphaned
+  REWARD_WORKER_INTERVAL_SECONDS: 15,
+  REWARD_WORKER_BATCH_SIZE: 20,
+  REWARD_CONFIRMATION_INTERVAL_SECONDS: 15,
+  MOCK_CONFIRMATIONS: 3,
+  MOCK_BLOCK_TIME_SECONDS: 2,
+  TX_WAIT_TIMEOUT_SECONDS: 300,
+  TX_POLL_INTERVAL_SECONDS: 5,
+  TX_STUCK_AFTER_SECONDS: 90, // Replace with higher gas if not mined by then
+  TX_GAS_BUMP_PERCENT: 15, // Most nodes require >= 10% to accept a replacement
+  TX_MAX_GAS_BUMPS: 3,
+  TX_NONCE_LEASE_SECONDS: 60, // Must outlast nonce allocation, signing and broadcast
+  OUTBOX_WORKER_INTERVAL_SECONDS: 10,
+  OUTBOX_LOCK_SECONDS: 600, // Longer than TX_WAIT_TIMEOUT_SECONDS so deliveries are not run twice
+  OUTBOX_MAX_ATTEMPTS: 10,
+  OUTBOX_RETRY_DELAY_SECONDS: 30,
+  PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+  AUTH_NONCE_TTL_MINUTES: 10,
+  ACCESS_TOKEN_EXPIRES_IN: '15m',
+  REFRESH_TOKEN_TTL_DAYS: 30,
+  SIWE_CHAIN_ID: 1
 };
 
 // HTTP Status Codes
@@ -84,14 +234,25 @@ const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
 module.exports = {
   SESSION_STATUS,
+  SESSION_VISIBILITY,
+  TEAM_ASSIGNMENT,
+  USER_ROLE,
   REWARD_STATUS,
   SCORING_TYPE,
+  SCORE_EVENT_TYPE,
+  SCORE_EVENT_SOURCE,
+  SCORE_VIOLATION_TYPE,
+  VIOLATION_ACTION,
+  PAYOUT_TYPE,
+  OUTBOX_EVENT_TYPE,
   BLOCKCHAIN_NETWORK,
+  NETWORK_CONFIG,
   SOCKET_EVENTS,
   ERROR_CODES,
   DEFAULTS,
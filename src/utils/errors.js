@@ -43,6 +43,12 @@ class ConflictError extends AppError {
   }
 }
 
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests') {
+    super(message, 429, ERROR_CODES.RATE_LIMITED);
+  }
+}
+
 // Error Response Formatter
 const formatErrorResponse = (error, req) => {
   const response = {
@@ -71,6 +77,7 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  RateLimitError,
   formatErrorResponse
 };
 
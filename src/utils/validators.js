@@ -1,3 +1,5 @@
+const { SCORE_EVENT_TYPE } = require('./constants');
+
 // Wallet Address Validator
 const isValidWalletAddress = (address) => {
   if (!address || typeof address !== 'string') return false;
@@ -10,6 +12,12 @@ const isValidTransactionHash = (hash) => {
   return /^0x[a-fA-F0-9]{64}$/i.test(hash);
 };
 
+// Signature Validator (65-byte ECDSA signature, hex encoded)
+const isValidSignature = (signature) => {
+  if (!signature || typeof signature !== 'string') return false;
+  return /^0x[a-fA-F0-9]{130}$/i.test(signature);
+};
+
 // Session ID Validator (UUID format)
 const isValidSessionId = (sessionId) => {
   if (!sessionId || typeof sessionId !== 'string') return false;
@@ -17,6 +25,12 @@ const isValidSessionId = (sessionId) => {
   return uuidRegex.test(sessionId);
 };
 
+// MongoDB ObjectId Validator
+const isValidObjectId = (id) => {
+  if (!id || typeof id !== 'string') return false;
+  return /^[a-f0-9]{24}$/i.test(id);
+};
+
 // Username Validator
 const isValidUsername = (username) => {
   if (!username || typeof username !== 'string') return false;
@@ -39,13 +53,57 @@ const isValidDuration = (duration) => {
   return typeof duration === 'number' && duration >= 1 && duration <= 120;
 };
 
+// Session Extension Validator (whole minutes)
+const isValidExtension = (minutes, max) => {
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= max;
+};
+
+// Reason Validator (free text shown to players)
+const isValidReason = (reason) => {
+  return typeof reason === 'string' && reason.trim().length > 0 && reason.length <= 500;
+};
+
+// Session Password Validator
+const isValidSessionPassword = (password) => {
+  return typeof password === 'string' && password.length >= 4 && password.length <= 128;
+};
+
+// Invite Code Validator (8 characters, case-insensitive)
+const isValidInviteCode = (code) => {
+  return typeof code === 'string' && /^[A-Z2-9]{8}$/i.test(code);
+};
+
+// Score event types players may send (SCORE_SET is server-only)
+const isValidPlayerScoreEventType = (type) => {
+  return type === SCORE_EVENT_TYPE.TASK_COMPLETED || type === SCORE_EVENT_TYPE.POINTS_AWARDED;
+};
+
+// Task ID Validator (catalogue task IDs)
+const isValidTaskId = (taskId) => {
+  return typeof taskId === 'string' && /^[A-Za-z0-9_-]{1,40}$/.test(taskId);
+};
+
+// Task Proof Validator (answer sent when completing a task)
+const isValidTaskProof = (proof) => {
+  return typeof proof === 'string' && proof.trim().length > 0 && proof.length <= 500;
+};
+
 module.exports = {
   isValidWalletAddress,
   isValidTransactionHash,
+  isValidSignature,
   isValidSessionId,
+  isValidObjectId,
   isValidUsername,
   isValidEmail,
   isValidScore,
-  isValidDuration
+  isValidDuration,
+  isValidExtension,
+  isValidReason,
+  isValidSessionPassword,
+  isValidInviteCode,
+  isValidPlayerScoreEventType,
+  isValidTaskId,
+  isValidTaskProof
 };
 